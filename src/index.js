@@ -2,21 +2,67 @@ import "../css/toolbar.css";
 import langs from "../locale.json";
 import EventEmitter from "events";
 import {
-	getMetaInfo,
 	getSelectorPath,
 	navigateViaLink,
-	getTopParent,
 	appendTools,
 	saveSelection,
 	applySelection,
-	promptUser,
-	renderGhostPrompt,
 	getShortcut,
+	parseShortcut,
+	getEventCombo,
+	formatShortcut,
 	findSection,
+	getSectionKey,
 	findChangedSections,
 	setCookie,
-	getCookie
+	getCookie,
+	getStoredValue,
+	setStoredValue,
+	getImageFile,
+	renderProgress,
+	getRangeFromPoint
 } from "./lib/util";
+import { request, getUploadedUrl } from "./lib/request";
+import { notify, dismiss, announce, renderNotifications } from "./lib/notify";
+import EditHistory from "./lib/history";
+import Positioner from "./lib/positioner";
+import { sanitize, defaultAttributes, defaultSchemes } from "./lib/sanitize";
+import { getPasteTarget, convertHtml, convertText } from "./lib/paste";
+import { normalizeUrl, parsePages, searchPages, getLinkValues, setLinkAttributes, openLinkDialog } from "./lib/link";
+import { openDialog, closeDialogs } from "./lib/dialog";
+import { getMetaFields, getMetaInfo, setMetaInfo, isSameMeta, renderMetaPreview } from "./lib/meta";
+import { initToolbar, updateToolbar, focusToolbar, checkAccessibility } from "./lib/a11y";
+import {
+	findSectionElement,
+	getItemElements,
+	getItemTemplate,
+	getItemIds,
+	createItemId,
+	cloneItem,
+	isSameItems,
+	isHorizontal
+} from "./lib/repeat";
+import { formats, toggleFormat, clearFormats, isFormatActive, getLink, createLink, removeLink, insertHtml } from "./lib/format";
+import {
+	blockTypes,
+	containerTags,
+	getBlockType,
+	getListType,
+	setBlockType,
+	changeTag,
+	toggleList,
+	indent,
+	outdent,
+	canIndent
+} from "./lib/blocks";
+import {
+	getDrafts,
+	setDraft,
+	setMetaDraft,
+	removeDraft,
+	removeMetaDraft,
+	clearDrafts
+} from "./lib/drafts";
 
 /**
  * The CMS client class. It enables the WYSIWYG editor.
@@ -30,6 +76,35 @@ class CMS extends EventEmitter{
 	 * @param {string} [options.saveUrl] - The endpoint where the client will send the edited content to be saved.
 	 * @param {string} [options.publishUrl] - The endpoint where the client will send a request to make the saved content public.
 	 * @param {string} [options.uploadUrl] - The endpoint where images will be sent.
+	 * @param {string} [options.sitemapUrl] - An endpoint listing the pages of the site, suggested when editing a link. It responds with an XML sitemap,
+	 * or with JSON, an array of urls or of objects with a url and a title.
+	 * @param {Array<string|object>} [options.metaFields] - The meta info that can be edited, in order. Built-in fields are "title", "description", "keywords", "canonical",
+	 * "ogTitle", "ogDescription", "ogImage", "twitterCard", "noindex", "alternates" and "jsonLd". Custom fields are objects with a name, a label
+	 * and the name of a meta tag (meta), the property of an Open Graph tag (property) or functions to get and set the value.
+	 * Defaults to the title, description and keywords, and the canonical url if editCanonical is true.
+	 * @param {object[]} [options.contentLanguages] - The languages the content of the page can be edited in. If more than one is specified, a dropdown to switch between them appears on the main toolbar.
+	 * @param {string} options.contentLanguages.name - The name of the language, displayed in the dropdown.
+	 * @param {string} options.contentLanguages.value - The code of the language, eg. "sv". It is stored in the "lang" cookie when switching language.
+	 * @param {string} [options.idAttribute] - The attribute holding a stable id of an editable element. The id identifies the section on the server, with the selector path of the element as fallback.
+	 * @param {boolean} [options.strictIds] - Only make elements with an id editable. Elements without one are skipped with a warning.
+	 * @param {string} [options.repeatAttribute] - Marks containers of repeatable items, eg. cards or list items, that can be added, duplicated, moved and deleted.
+	 * The value of the attribute identifies the container on the server. New items are copied from a <template> in the container, if there is one.
+	 * @param {object|boolean} [options.sanitize] - What html is allowed in edited content. Content is sanitized when it is pasted and before it is saved. Specify false to turn sanitizing off.
+	 * @param {string[]} [options.sanitize.tags] - The allowed tags. Defaults to the editable tags together with the tags that are allowed inside them.
+	 * @param {object} [options.sanitize.attributes] - The allowed attributes, by tag name. Attributes under "*" are allowed on every tag.
+	 * @param {string[]} [options.sanitize.schemes] - The allowed URL schemes in href and src attributes.
+	 * @param {string|function} [options.auth] - Sent as the Authorization header of every request. Can be a function that returns the value, or a promise of it, eg. to refresh a token.
+	 * @param {object} [options.headers] - Extra headers to send with every request.
+	 * @param {string} [options.credentials] - The credentials mode of every request, "omit", "same-origin" or "include".
+	 * @param {object|boolean} [options.autosave] - When to save automatically. Specify false to only save when the user asks to,
+	 * and true to save every minute.
+	 * @param {number} [options.autosave.interval] - Save every number of milliseconds.
+	 * @param {number} [options.autosave.idle] - Save when the user has stopped typing for a number of milliseconds.
+	 * @param {boolean} [options.autosave.blur] - Save when the user stops editing a section.
+	 * @param {function} [options.beforeSave] - Called with the data of a save before it is sent, and an object with the trigger of the save. It may return, or resolve to, new data to send instead, or false to cancel the save.
+	 * @param {function} [options.afterSave] - Called when a save request has finished, with an object containing the data, trigger, ok and status.
+	 * @param {object} [options.shortcuts] - Keyboard shortcuts by the name of their action or tool, eg. { save: "mod+enter" }, replacing the default ones.
+	 * A shortcut is a string of keys joined by "+", or an array of such strings. "mod" is the command key on a Mac and ctrl elsewhere. Specify false to turn a shortcut off.
 	 * @param {function} [options.logout] - Add a logout function. If this is assigned a function, a logout button will appear on the main toolbar. If it is not specified, the logout button won't appear.
 	 */
 	constructor ({
@@ -38,59 +113,84 @@ class CMS extends EventEmitter{
 		saveUrl = "/cms/save",
 		publishUrl = "/cms/publish",
 		uploadUrl = "/cms/upload",
+		sitemapUrl = null,
 		editCanonical = false,
+		metaFields = null,
+		contentLanguages = [],
+		idAttribute = "data-cms-id",
+		strictIds = false,
+		repeatAttribute = "data-cms-repeat",
+		sanitize = {},
 		auth = "",
+		headers = {},
+		credentials = "same-origin",
+		autosave = { interval: 60 * 1000 },
+		beforeSave = null,
+		afterSave = null,
+		shortcuts = {},
 		logout = null
 	}){
 		super();
 
 		if(!Array.isArray(tags) && tags) throw new TypeError("tags is not an array");
+		if(metaFields && !Array.isArray(metaFields)) throw new TypeError("metaFields is not an array");
+		if(typeof autosave !== "boolean" && typeof autosave !== "object") throw new TypeError("autosave is not an object or a boolean");
 
 		this.locale = langs[editorLang] || langs.en;
 		this.tags = ["a", "p", "h1", "h2", "h3", "h4", "h5", "h6", "ul", "ol"].concat(tags);
 		this.saveUrl = saveUrl;
 		this.publishUrl = publishUrl;
 		this.uploadUrl = uploadUrl;
+		this.sitemapUrl = sitemapUrl;
+		this.pages = null;
 		this.editCanonical = editCanonical;
+		this.metaFields = getMetaFields(metaFields || ["title", "description", "keywords"].concat(editCanonical ? ["canonical"] : []));
+		this.contentLanguages = contentLanguages.map(lang => typeof lang === "string" ? { name: lang, value: lang } : lang);
+		this.contentLanguage = this._findContentLanguage();
+		this.languageStatus = {};
+		this.idAttribute = idAttribute;
+		this.strictIds = strictIds;
+		this.repeatAttribute = repeatAttribute;
 		this.auth = auth;
+		this.headers = headers;
+		this.credentials = credentials;
+		// true turns on the default autosave, rather than nothing.
+		this.autosave = Object.assign({ interval: 0, idle: 0, blur: false }, autosave === true ? { interval: 60 * 1000 } : autosave);
+		this.beforeSave = beforeSave;
+		this.afterSave = afterSave;
+		this.autosaveInterval = null;
+		this.idleTimeout = null;
+		this.listeners = [];
+		this.history = new EditHistory();
+		this.running = false;
+		this.previousKeydown = null;
+		this.plainPasteTime = 0;
 		this.sections = [];
-		this.childTags = ["li", "b", "i", "span", "u", "strike", "a"];
+		this.containers = [];
+		this.activeItem = null;
+		this.draggedItem = null;
+		this.meta = null;
+		this.toolbarPosition = null;
+		this.saving = false;
+		this.saveQueued = false;
+		this.savePromise = null;
+		this.retries = 0;
+		this.retryTimeout = null;
+		this.childTags = ["li", "b", "i", "span", "u", "strike", "a", "img", "strong", "em", "s", "sub", "sup", "br"];
+		this.sanitizeOptions = sanitize === false ? null : {
+			tags: sanitize.tags || this.tags.concat(this.childTags),
+			attributes: sanitize.attributes || defaultAttributes,
+			schemes: sanitize.schemes || defaultSchemes
+		};
+		this.selectedImage = null;
+		this.positioner = null;
+		this.toolbarSelection = null;
+		this.mode = "edit";
 		this.logout = logout;
-		this.shortcuts = [
-			{
-				name: this.locale.shortcuts.save.name,
-				combo: this.locale.shortcuts.save.combo,
-				func: (e) => this.save(e),
-				global: true
-			},
-			{
-				name: this.locale.shortcuts.bold.name,
-				combo: this.locale.shortcuts.bold.combo,
-				func: this._makeBold
-			},
-			{
-				name: this.locale.shortcuts.italic.name,
-				combo: this.locale.shortcuts.italic.combo,
-				func: this._makeItalic
-			},
-			{
-				name: this.locale.shortcuts.underline.name,
-				combo: this.locale.shortcuts.underline.combo,
-				func: this._makeUnderline
-			},
-			{
-				name: this.locale.shortcuts.linethrough.name,
-				combo: this.locale.shortcuts.linethrough.combo,
-				func: this._makeLinethrough
-			},
-			{
-				name: this.locale.shortcuts.link.name,
-				combo: this.locale.shortcuts.link.combo,
-				func: (e) => this._insertLink(e)
-			}
-		];
-
-		this._handleShortcuts();
+		this.shortcutOptions = shortcuts;
+		this.shortcuts = this._createShortcuts();
+		this.tools = this._getDefaultTools();
+		this._checkShortcutConflicts();
 	}
 
 	/*
@@ -103,668 +203,3520 @@ class CMS extends EventEmitter{
 	 * Start the CMS interface.
 	 */
 	run (){
+		if(this.running) return;
+		this.running = true;
+
 		// Find all editable elements.
 		const tags = this.tags.join(", ");
 		const elements = [...document.querySelectorAll(tags)].reverse();
+		const missingIds = [];
+		const duplicateIds = [];
 
 		// Add listeners to all the editable elements.
 		for(const element of elements){
-			const el = getTopParent(element, this.tags);
+			const el = this._findSectionElement(element);
 
-			const cmsElement = {
-				original_text: el.innerHTML,
-				edited_text: el.innerHTML,
-				saved_text: el.innerHTML,
-				element: el,
-				path: getSelectorPath(el),
-				page: window.location.pathname
-			};
-			this.sections.push(cmsElement);
+			// Nested editable tags share the section of their top parent.
+			if(!el || findSection(el, this.sections)) continue;
+
+			const id = el.getAttribute(this.idAttribute) || null;
+			const path = getSelectorPath(el);
+
+			if(id && this.sections.some(section => section.id === id)){
+				duplicateIds.push(id);
+				continue;
+			}
+
+			if(!id){
+				missingIds.push(path);
+
+				if(this.strictIds) continue;
+			}
 
-			el.addEventListener("click", (e) => this._addEdit(e));
-			el.classList.add("cms-editable");
+			this._addSection(el);
 		}
 
+		this._warnAboutIds(missingIds, duplicateIds);
+		this._findContainers();
+
+		this.languageStatus = getStoredValue(`cms-languages:${window.location.pathname}`) || {};
+		this.toolbarPosition = Object.assign({ dock: "bottom", left: 0, top: 0, collapsed: false }, getStoredValue("cms-toolbar"));
+
+		// Keep track of the meta info, so that changes to it can be detected.
+		const meta = getMetaInfo(this.metaFields);
+		this.meta = { edited: meta, saved: meta, published: meta };
+
 		this._renderToolbar();
+		renderNotifications();
+
+		this._findDrafts();
+		this._handleShortcuts();
 
-		// Render the prompt, but make it hidden, to avoid recreating it every time it is needed.
-		renderGhostPrompt(this.locale);
+		this._listen(window, "mousedown", (e) => this._removeEdit(e));
+		this._listen(window, "resize", () => this._placeToolbar());
+		this._listen(document, "selectionchange", () => this._updateToolStatus());
 
-		window.addEventListener("mousedown", (e) => this._removeEdit(e));
+		// Changes that failed to save while offline are saved as soon as the connection is back.
+		this._listen(window, "online", () => this._saveInBackground("online"));
 
-		setInterval( () => { this.save(); }, 60 * 1000);
+		if(this.autosave.interval)
+			this.autosaveInterval = setInterval(() => this._saveInBackground("interval"), this.autosave.interval);
 	}
 
-	async save (){
-		const hasChanged = this._changedSinceSave();
+	/**
+	 * Stop the CMS interface. Removes every listener, element, class and timer added by run(),
+	 * so that run() can be called again, eg. after client-side navigation. Unsaved changes are kept as drafts.
+	 */
+	destroy (){
+		if(!this.running) return;
 
-		if(!hasChanged) return;
-		const changedSections = findChangedSections(this.sections);
-		const meta = getMetaInfo();
-		const data = {
-			sections: changedSections,
-			meta
-		};
+		const editing = document.querySelector(".cms-editable[contenteditable=true]");
+		const elements = document.querySelectorAll(
+			".cms-toolbar, .local-toolbar, .cms-notifications, .cms-progress, .cms-item-toolbar"
+		);
 
-		console.log(data);
+		// Store the edits of the section that is being edited, so that they end up in the drafts.
+		if(editing)
+			this._setEdits(editing);
 
-		document.body.style.cursor = "wait";
-		const response = await fetch(this.saveUrl, {
-			method: "POST",
-			json: true,
-			headers: {
-				"Content-Type": "application/json"
+		this._setMode("edit");
 
-			},
-			body: JSON.stringify(data)
-		});
+		this._deselectImage();
+		this._removeLocalToolbar();
+		closeDialogs();
 
-		// When the request fails, show an error!
-		if(!response.ok) this._error(this.locale.errors.save);
+		for(let{ target, type, handler } of this.listeners)
+			target.removeEventListener(type, handler);
 
-		// When the request succeeds, update the saved sections!
-		if(response.ok) this._setSaved(changedSections);
+		clearInterval(this.autosaveInterval);
+		clearTimeout(this.idleTimeout);
+		clearTimeout(this.retryTimeout);
+		document.onkeydown = this.previousKeydown;
 
-		document.body.style.cursor = "auto";
-	}
+		for(let section of this.sections){
+			const el = section.element;
 
-	async publish (){
-		const hasChanged = this._changedSincePublish();
+			if(el.classList.contains("cms-focusable"))
+				el.removeAttribute("tabindex");
 
-		if(!hasChanged) return;
-		const sections = this.sections;
+			el.classList.remove("cms-editable", "cms-focusable", "outline");
+			el.removeAttribute("contenteditable");
 
-		document.body.style.cursor = "wait";
-		const response = await fetch(this.publishUrl, {
-			method: "POST",
-			json: true,
-			headers: {
-				"Content-Type": "application/json"
-			},
-			body: JSON.stringify(sections)
-		});
+			if(!el.classList.length)
+				el.removeAttribute("class");
+		}
 
-		// When the request fails, show an error!
-		if(!response.ok) this._error(this.locale.errors.publish);
+		elements.forEach(element => element.remove());
+		document.body.classList.remove("cms-active", "cms-toolbar-top", "cms-toolbar-bottom");
+		document.body.style.removeProperty("cursor");
 
-		// When the request succeeds, update sections!
-		if(response.ok) this._setPublished();
+		if(!document.body.classList.length)
+			document.body.removeAttribute("class");
 
-		document.body.style.cursor = "auto";
-	}
+		if(!document.body.getAttribute("style"))
+			document.body.removeAttribute("style");
 
-	/*
-	****************
-	PRIVATE METHODS
-	****************
-	*/
+		this.listeners = [];
+		this.history.clear();
+		this.sections = [];
+		this.toolbarSelection = null;
+		this.containers = [];
+		this.activeItem = null;
+		this.draggedItem = null;
+		this.meta = null;
+		this.autosaveInterval = null;
+		this.saveQueued = false;
+		this.savePromise = null;
+		this.retries = 0;
+		this.previousKeydown = null;
+		this.running = false;
+	}
 
 	/**
-	 * Display an error.
-	 * @param {string} msg - The error message.
-	 * @private
+	 * Alias of destroy().
 	 */
-	_error (msg){
-		console.error(msg);
+	stop (){
+		this.destroy();
 	}
 
 	/**
-	 * Set the status of the publish icon. Disabled or not disabled.
-	 * @private
+	 * Undo the latest change to a section or the meta info.
 	 */
-	_setPublishStatus (){
+	undo (){
+		// The published version is displayed instead of the edits, so there is nothing to undo.
+		if(this.mode === "published") return;
 
-		/* const hasChanged = this._changedSincePublish();
-		const button = document.querySelector(".cms-publish");
+		const change = this.history.undo();
 
-		if(!hasChanged)
-			button.setAttribute("disabled", "true");
-		else if(hasChanged)
-			button.removeAttribute("disabled"); */
+		if(change)
+			this._applyChange(change.target, change.before);
 	}
 
 	/**
-	 * Check whether there have been changes since the last publish.
-	 * @private
+	 * Redo the latest undone change.
 	 */
-	_changedSincePublish (){
-		return true;
-
-		/* const sections = this.sections;
+	redo (){
+		if(this.mode === "published") return;
 
-		for(let section of sections)
-			if(section.saved_text !== section.original_text)
-				return true;
+		const change = this.history.redo();
 
-		return false; */
+		if(change)
+			this._applyChange(change.target, change.after);
 	}
 
 	/**
-	 * Set the content that was just published as the original text.
-	 * @private
+	 * Save the changes made since the last save. If a save is already in progress, another save is made when it finishes.
+	 * Repeatable containers whose items have been added, moved or deleted are sent as the structure of the page.
+	 * Emits a "saving" event before the request is sent, and a "saved" event when the changes have been saved.
+	 * If the save is cancelled by the beforeSave option, or the option throws, a "saveCancelled" event is emitted instead.
+	 * @param {object} [options] - Options for the save.
+	 * @param {string} [options.trigger] - What caused the save, eg. "manual", "interval", "idle", "blur" or "retry".
+	 * @returns {Promise<boolean>} Whether the changes were saved. A save made while another is in progress resolves when the
+	 * queued save has finished.
 	 */
-	_setPublished (){
-		const sections = this.sections;
+	async save ({ trigger = "manual" } = {}){
+		const hasChanged = this._changedSinceSave();
 
-		for(let section of sections)
-			section.original_text = section.saved_text;
+		if(!hasChanged) return true;
 
-		this._setPublishStatus();
+		if(this.saving){
+			this.saveQueued = trigger;
+
+			// When the save in progress finishes, it replaces its promise with the one of the queued save.
+			await this.savePromise.catch(() => {});
+
+			return this.savePromise;
+		}
+
+		this.savePromise = this._runSave(trigger);
+
+		return this.savePromise;
 	}
 
 	/**
-	 * Sets the status of the save button, whether it is disabled or not.
+	 * Run a save, and then the save that was queued while it was in progress, if any.
+	 * @param {string} trigger - What caused the save.
+	 * @returns {Promise<boolean>} Whether the changes were saved.
 	 * @private
 	 */
-	_setSaveStatus (){
-		const hasChanged = this._changedSinceSave();
-		const saveButton = document.querySelector(".cms-save");
-
-		if(!hasChanged)
-			saveButton.setAttribute("disabled", "true");
-		else if(hasChanged)
-			saveButton.removeAttribute("disabled");
+	async _runSave (trigger){
+		clearTimeout(this.retryTimeout);
+		clearTimeout(this.idleTimeout);
+		this.saving = true;
+
+		// Whatever happens during the save, eg. a hook that throws, the next save must be able to run.
+		try{
+			return await this._sendSave(trigger);
+		} finally{
+			this.saving = false;
+
+			// A CMS destroyed during the save has already cleaned up the page, and dropped the queued save.
+			if(this.running)
+				document.body.style.cursor = "auto";
+
+			if(this.running && this.saveQueued){
+				const queuedTrigger = this.saveQueued;
+
+				this.saveQueued = false;
+				this.savePromise = this.save({ trigger: queuedTrigger });
+				this.savePromise.catch(err => console.warn("CMS: the save failed.", err));
+			}
+		}
 	}
 
 	/**
-	 * Checks whether or not changes have been made since the last save.
-	 * @returns {boolean} - True means that changes have been made. False means no changes have been made.
+	 * Send the changes made since the last save, and mark them as saved if the request succeeds.
+	 * An error thrown by the beforeSave option cancels the save, and one thrown by the afterSave option is logged.
+	 * @param {string} trigger - What caused the save.
+	 * @returns {Promise<boolean>} Whether the changes were saved.
 	 * @private
 	 */
-	_changedSinceSave (){
-		return true;
+	async _sendSave (trigger){
+		findChangedSections(this.sections).forEach(section => this._sanitizeSection(section));
+
+		// Copy the sections, so that edits made while the request is pending aren't marked as saved.
+		const changedSections = findChangedSections(this.sections).map(section => Object.assign({}, section));
+		const meta = this.meta.edited;
+		const changedContainers = this.containers.filter(container => !isSameItems(getItemIds(container), container.saved_items));
+		const savedItems = new Map(changedContainers.map(container => [container, getItemIds(container)]));
+		let data = {
+			sections: changedSections,
+			meta,
+			lang: this.contentLanguage,
+			structure: changedContainers.map(container => this._getStructure(container))
+		};
 
-		/* const sections = this.sections;
+		if(this.beforeSave){
+			let result;
 
-		for(let section of sections)
-			if(section.edited_text !== section.saved_text)
-				return true;
+			try{
+				result = await this.beforeSave(data, { trigger });
+			}catch (error){
+				this.emit("saveCancelled", { data, trigger, error });
+				return false;
+			}
 
-		return false; */
-	}
+			if(result === false){
+				this.emit("saveCancelled", { data, trigger });
+				return false;
+			}
 
-	/**
-	 * Set the saved content.
-	 * @param {object[]} changedSections - And array of sections that have changed.
-	 * @private
-	 */
-	_setSaved (changedSections){
-		const sections = this.sections;
+			if(result)
+				data = result;
 
-		for(let section of sections){
-			const element = section.element;
+			// The CMS was destroyed while the hook ran, so there is nothing left to save.
+			if(!this.running) return false;
+		}
 
-			changedSections.forEach( changedSection => {
-				if(changedSection.element === element)
-					section.saved_text = changedSection.edited_text;
-			});
+		this.emit("saving", { data, trigger });
+
+		document.body.style.cursor = "wait";
+		const response = await this._request(this.saveUrl, { json: data });
+
+		// The request can't be taken back, but the state it would update is gone once the CMS is destroyed.
+		if(!this.running) return response.ok;
+
+		// When the request fails, show an error!
+		if(!response.ok){
+			this._error("save", response, () => this._saveInBackground("retry"));
+			this._retrySave(response);
 		}
 
-		this._setSaveStatus();
-		this._setPublishStatus();
+		// When the request succeeds, update the saved sections!
+		if(response.ok){
+			this.retries = 0;
+			this._setSaved(changedSections, meta, savedItems);
+			this.emit("saved", data);
+
+			// Automatic saves are displayed by the status in the toolbar, notifying about them would be noisy.
+			if(trigger === "manual" || trigger === "retry")
+				this._notify("success", this.locale.notifications.saved, "save");
+			else
+				dismiss("save");
+
+			// Screen readers don't follow the status in the toolbar, so automatic saves are announced to them.
+			if(trigger !== "manual" && trigger !== "retry")
+				announce(this.locale.notifications.saved);
+		}
+
+		if(!this.afterSave) return response.ok;
+
+		try{
+			await this.afterSave({ data, trigger, ok: response.ok, status: response.status });
+		}catch (err){
+			console.warn("CMS: the afterSave option threw an error.", err);
+		}
+
+		return response.ok;
 	}
 
 	/**
-	 * Sets the edited content in a section.
-	 * @param {string} element - An editable element
+	 * Save without waiting for the result, eg. from a timer. Errors are logged, since nothing else would handle them.
+	 * @param {string} trigger - What caused the save.
 	 * @private
 	 */
-	_setEdits (element){
-		const content = element.innerHTML;
-		const section = findSection(element, this.sections);
-
-		section.edited_text = content;
-		this._setSaveStatus();
+	_saveInBackground (trigger){
+		this.save({ trigger }).catch(err => console.warn("CMS: the save failed.", err));
 	}
 
 	/**
-	 * Handle all shortcuts.
-	 * @private
+	 * Publish the saved changes. Emits a "published" event when the changes have been published.
 	 */
-	_handleShortcuts (){
-		document.onkeydown = (e) => {
-			const combo = [];
-			const ctrl = e.ctrlKey;
-			const shift = e.shiftKey;
-			const alt = e.altKey;
-			const key = e.key.toLowerCase();
-			const isInputContext = e.target.classList.contains("cms-editable");
+	async publish (){
+		const hasChanged = this._changedSincePublish();
 
-			if(ctrl)
-				combo.push("ctrl");
+		if(!hasChanged) return;
+		const sections = this.sections;
 
-			if(shift)
-				combo.push("shift");
+		// Only saved changes are published, so let the user know that some changes are left out.
+		if(this._changedSinceSave())
+			this._notify("warning", this.locale.notifications.unsavedNotPublished, "publish-unsaved");
 
-			if(alt)
-				combo.push("alt");
+		document.body.style.cursor = "wait";
+		const response = await this._request(this.publishUrl, { json: sections });
 
-			combo.push(key);
-			const shortcut = getShortcut(this.shortcuts, combo);
+		if(!this.running) return;
 
-			if(shortcut !== false)
-				if(isInputContext || shortcut.global){
-					e.stopImmediatePropagation();
-					e.preventDefault();
+		// When the request fails, show an error!
+		if(!response.ok) this._error("publish", response, () => this.publish());
 
-					if(e.repeat) return;
+		// When the request succeeds, update sections!
+		if(response.ok){
+			this._setPublished();
+			this._notify("success", this.locale.notifications.published, "publish");
+			this.emit("published", { sections });
+		}
 
-					shortcut.func(e);
-				}
-		};
+		document.body.style.cursor = "auto";
 	}
 
-	_editMeta (){
-		const metaInfo = getMetaInfo();
-		const container = document.createElement("div");
-		const content = document.createElement("form");
-		const inputs = document.createElement("div");
-		const header = document.createElement("header");
-		const title = document.createElement("span");
-		const close = document.createElement("div");
-		const submit = document.createElement("button");
-
-		const editTitle = this._createInput({
-			label: this.locale.meta.pageTitle,
-			name: "title",
-			defaultValue: metaInfo.title
-		});
-		const editDesc = this._createInput({
-			label: this.locale.meta.pageDesc,
-			name: "description",
-			defaultValue: metaInfo.description
-		});
-		const editKeywords = this._createInput({
-			label: this.locale.meta.pageKeywords,
-			name: "keywords",
-			defaultValue: metaInfo.keywords
-		});
-		const editCanonical = this._createInput({
-			label: this.locale.meta.pageCanonical,
-			name: "canonical",
-			defaultValue: metaInfo.canonical
-		});
-
-		container.classList.add("meta");
-		submit.textContent = this.locale.meta.submit;
+	/**
+	 * Add a tool to the main or local toolbar, or replace the tool with the same name, eg. one of the built-in tools.
+	 * Changes made by the handler to the section being edited are saved as an edit.
+	 * @param {object} tool - The tool.
+	 * @param {string} tool.name - A unique name of the tool. Built-in tools are named after their tooltip in the locale file, eg. "bold".
+	 * @param {function} tool.handler - Called with the event and a context object, { cms, element, range },
+	 * holding the section being edited and the selected range in it, if any. It may return a promise.
+	 * @param {string} [tool.scope] - The toolbar of the tool, "local" or "global".
+	 * @param {string} [tool.icon] - The url of the icon of the button.
+	 * @param {string} [tool.tooltip] - The tooltip of the button.
+	 * @param {string|string[]} [tool.shortcut] - A keyboard shortcut for the tool, eg. "mod+shift+k". It can be replaced with the shortcuts option.
+	 * @param {function} [tool.isActive] - Called with the context object when the selection changes. The button is displayed as pressed if it returns true.
+	 * @param {string} [tool.before] - The name of a tool to place the tool before.
+	 * @param {string} [tool.after] - The name of a tool to place the tool after.
+	 */
+	registerTool ({ name, handler, scope = "local", icon = "", tooltip = "", shortcut = null, isActive = null, before = null, after = null }){
+		if(!name || typeof name !== "string") throw new TypeError("tool name is not a string");
+		if(typeof handler !== "function") throw new TypeError("tool handler is not a function");
+		if(scope !== "local" && scope !== "global") throw new TypeError("tool scope is not \"local\" or \"global\"");
 
-		inputs.classList.add("inputs");
-		close.classList.add("close");
-		title.classList.add("title");
-		title.textContent = this.locale.meta.title;
-		header.appendChild(title);
-		header.appendChild(close);
+		const run = (e) => this._runTool(handler, e);
+		const tool = { name, scope, icon, tooltip, isActive, handler: run };
+		const existing = this.tools.findIndex(tool => tool.name === name);
 
-		inputs.appendChild(editTitle);
-		inputs.appendChild(editDesc);
-		inputs.appendChild(editKeywords);
+		if(existing !== -1)
+			this.tools.splice(existing, 1);
 
-		if(this.editCanonical)
-			inputs.appendChild(editCanonical);
+		// A replaced tool keeps its place, unless it is given a new one.
+		if(existing !== -1 && !before && !after)
+			this.tools.splice(existing, 0, tool);
+		else
+			this._insertTool(tool, before, after);
 
-		inputs.appendChild(submit);
+		this.shortcuts = this.shortcuts.filter(shortcut => shortcut.id !== name);
 
-		content.classList.add("content");
-		content.appendChild(header);
-		content.appendChild(inputs);
-		container.appendChild(content);
-		document.body.prepend(container);
+		for(let combo of this._getCombos(name, shortcut ? [shortcut] : []))
+			this.shortcuts.push({ id: name, name: tooltip || name, combo, func: run, global: scope === "global" });
 
-		function closeEdit (e){
-			const{ key, type } = e;
+		this._checkShortcutConflicts(name);
+		this._refreshTools();
+	}
 
-			if(key === "Escape" || type === "click"){
-				window.removeEventListener("keyup", closeEdit);
-				document.body.removeChild(container);
-			}
-		}
+	/**
+	 * Remove a tool, and its shortcut, from the toolbars.
+	 * @param {string} name - The name of the tool.
+	 */
+	removeTool (name){
+		this.tools = this.tools.filter(tool => tool.name !== name);
+		this.shortcuts = this.shortcuts.filter(shortcut => shortcut.id !== name);
+		this._refreshTools();
+	}
 
-		const onSubmit = (e) => {
-			e.preventDefault();
+	/**
+	 * Change the order of the tools in a toolbar. Tools that are not named are placed after the named ones.
+	 * @param {string} scope - The toolbar, "local" or "global".
+	 * @param {string[]} names - The names of the tools in the order they are displayed.
+	 */
+	setToolOrder (scope, names){
+		const tools = this.tools.filter(tool => tool.scope === scope);
+		const others = this.tools.filter(tool => tool.scope !== scope);
+		const rank = (tool) => names.indexOf(tool.name) === -1 ? names.length : names.indexOf(tool.name);
+		const sorted = tools
+			.map((tool, i) => ({ tool, i }))
+			.sort((a, b) => rank(a.tool) - rank(b.tool) || a.i - b.i)
+			.map(item => item.tool);
+
+		this.tools = others.concat(sorted);
+		this._refreshTools();
+	}
 
-			const form = {};
-			const inputs = [...e.target];
-			inputs.forEach( input => { form[input.name] = input.value; });
-			this._setMeta(form);
-		};
+	/*
+	****************
+	PRIVATE METHODS
+	****************
+	*/
 
-		content.addEventListener("submit", onSubmit);
-		close.addEventListener("click", closeEdit);
-		window.addEventListener("keyup", closeEdit);
-	}
+	/**
+	 * Send a request with the auth, headers and credentials of the CMS instance.
+	 * Emits an "unauthorized" event when the server responds with 401.
+	 * @param {string} url - The endpoint to send the request to.
+	 * @param {object} options - Options passed on to the request, eg. json, body or onProgress.
+	 * @returns {Promise<{ ok: boolean, status: number, text: string }>} A failed network request resolves with a status of 0.
+	 * @private
+	 */
+	async _request (url, options){
+		let response;
+
+		try{
+			response = await request(url, Object.assign({
+				auth: this.auth,
+				headers: this.headers,
+				credentials: this.credentials
+			}, options));
+		}catch (err){
+			response = { ok: false, status: 0, text: "" };
+		}
 
-	_setMeta ({ title, description, keywords, canonical }){
-		if(title)
-			document.title = title;
+		if(response.status === 401)
+			this.emit("unauthorized", { url, status: response.status });
 
-		if(description)
-			document.querySelector("head meta[name=\"description\"]").setAttribute("content", description);
+		return response;
+	}
 
-		if(keywords)
-			document.querySelector("head meta[name=\"keywords\"]").setAttribute("content", keywords);
+	/**
+	 * Find the editable section an element is in.
+	 * @param {HTMLElement} el - The element.
+	 * @returns {HTMLElement|null}
+	 * @private
+	 */
+	_findSectionElement (el){
+		return findSectionElement(el, this.tags, `[${this.repeatAttribute}]`);
+	}
 
-		if(canonical)
-			document.querySelector("head link[rel=\"canonical\"]").setAttribute("href", canonical);
+	/**
+	 * Make an element an editable section.
+	 * @param {HTMLElement} el - The element.
+	 * @param {string} [text] - The content the section had when it was published and saved. New sections have none.
+	 * @returns {object} The section.
+	 * @private
+	 */
+	_addSection (el, text = el.innerHTML){
+		const section = {
+			original_text: text,
+			edited_text: el.innerHTML,
+			saved_text: text,
+			original_tag: el.localName,
+			edited_tag: el.localName,
+			saved_tag: el.localName,
+			element: el,
+			id: el.getAttribute(this.idAttribute) || null,
+			path: getSelectorPath(el),
+			page: window.location.pathname,
+			lang: this.contentLanguage
+		};
+		this.sections.push(section);
+
+		this._listen(el, "click", (e) => this._addEdit(e));
+		this._listen(el, "input", () => this._setEdits(el));
+		this._listen(el, "paste", (e) => this._paste(e));
+		this._listen(el, "dragover", (e) => this._dragImage(e));
+		this._listen(el, "drop", (e) => this._dropImage(e));
+		this._listen(el, "keydown", (e) => this._editWithKeyboard(e));
+		this._listen(el, "focusout", (e) => this._leaveSection(e));
+		el.classList.add("cms-editable");
+
+		// Sections are reached with the tab key, and edited by pressing enter.
+		if(el.tabIndex < 0 && !el.hasAttribute("tabindex")){
+			el.setAttribute("tabindex", "0");
+			el.classList.add("cms-focusable");
+		}
 
-		this.save();
+		return section;
 	}
 
-	_createInput ({ defaultValue = "", name = "", label = "", classes = "" }){
-		const input = document.createElement("input");
-		const inputCon = document.createElement("div");
-		const inputLabel = document.createElement("span");
-		input.className = classes;
-		input.name = name;
-		input.value = defaultValue;
-		inputLabel.textContent = label;
+	/**
+	 * Warn the developer about editable elements that can't be identified reliably.
+	 * @param {string[]} missingIds - Selector paths of elements without an id.
+	 * @param {string[]} duplicateIds - Ids that are used by more than one element. Only one of the elements is editable.
+	 * @private
+	 */
+	_warnAboutIds (missingIds, duplicateIds){
+		const attribute = this.idAttribute;
 
-		inputCon.classList.add("input-container");
+		if(missingIds.length){
+			const consequence = this.strictIds
+				? "They are not editable."
+				: "They are identified by their selector path, which changes when the structure of the page changes.";
 
-		inputCon.appendChild(inputLabel);
-		inputCon.appendChild(input);
+			console.warn(`CMS: ${missingIds.length} editable elements have no ${attribute} attribute. ${consequence}`, missingIds);
+		}
 
-		return inputCon;
+		if(duplicateIds.length)
+			console.warn(`CMS: the ${attribute} attribute must be unique. Only one element with each of these ids is editable.`, duplicateIds);
 	}
 
 	/**
-	 * Render the global toolbar.
+	 * Apply a value from the history, without recording it as a new change or saving it right away.
+	 * @param {object|string} target - The section or repeatable container that changed, { section } if the tag of a section changed,
+	 * or "meta" for the meta info.
+	 * @param {string|object} value - The content of the section, its tag and content, the items of the container, or the meta info.
 	 * @private
 	 */
-	_renderToolbar (){
-		const body = document.body;
-		const toolbar = document.createElement("div");
-		const publish = this._createBtn({ name: "publish", handler: () => this.publish() });
-		const save = this._createBtn({ name: "save", handler: () => this.save() });
-		const meta = this._createBtn({ name: "meta", handler: () => this._editMeta() });
-		/* const langs = this._createDropdown({
-			name: "langs",
-			options: [
-				{
-					name: "Svenska",
-					value: "sv"
-				},
-				{
-					name: "English",
-					value: "en"
-				},
-				{
-					name: "Nederlands",
-					value: "nl"
-				}
-			],
-			handler: (e) => this._changeLanguage(e)
-		}); */
-		const logout = typeof this.logout === "function"
-			? this._createBtn({ name: "logout", handler: this.logout }) : null;
-
-		// The order of this array determines the order in which the tools are displayed.
-		const tools = [logout, meta, save, publish];
+	_applyChange (target, value){
+		const isContainer = this.containers.indexOf(target) !== -1;
+
+		// Changes of the tag of a section are recorded together with its content, see _changeSectionTag.
+		if(target.section){
+			this._replaceSectionElement(target.section, value.tag, value.html);
+			target.section.edited_tag = value.tag;
+			this._setEdits(target.section.element, { record: false });
+			return this._setHistoryStatus();
+		}
 
-		body.classList.add("cms-active");
-		toolbar.classList.add("cms-toolbar");
+		if(target !== "meta" && !isContainer)
+			target.element.innerHTML = value;
 
-		appendTools(tools, toolbar);
-		body.appendChild(toolbar);
+		if(target === "meta")
+			this._setMeta(value, { record: false, save: false });
+		else if(isContainer)
+			this._setItems(target, value);
+		else
+			this._setEdits(target.element, { record: false });
 
-		this._setSaveStatus();
-		this._setPublishStatus();
+		this._setHistoryStatus();
 	}
 
 	/**
-	 * Add a local toolbar to an HTMLElement.
-	 * @param {HTMLElement} el - The HTMLElement to a toolbar to.
+	 * Enable or disable the undo and redo buttons.
 	 * @private
 	 */
-	_addLocalToolbar (el){
-		const body = document.body;
-		const tbHeight = 40;
-		const tbWidth = 200;
-
-		const toolbar = document.createElement("div");
-		toolbar.classList.add("local-toolbar");
+	_setHistoryStatus (){
+		const undo = document.querySelector(".cms-toolbar .cms-undo");
+		const redo = document.querySelector(".cms-toolbar .cms-redo");
 
-		function setPosition (){
-			const elHeight = el.getBoundingClientRect().height;
-			let elPosY = el.getBoundingClientRect().top - body.getBoundingClientRect().top + elHeight + 10,
-				elPosX = el.getBoundingClientRect().left;
-
-			// If the toolbar exceeds the width or height of the page,
-			// move it so that the whole toolbar can be displayed.
-			const tbViewPos = (el.offsetTop + elHeight + 80);
-			const view = window.innerHeight;
-			if(elPosX + tbWidth > window.innerWidth)
-				elPosX = (window.innerWidth - tbWidth) - 5;
+		if(undo)
+			undo.disabled = !this.history.canUndo();
 
-			if(tbViewPos > view)
-				elPosY = el.offsetTop - tbHeight - 10;
+		if(redo)
+			redo.disabled = !this.history.canRedo();
 
-			toolbar.style.setProperty("top", elPosY + "px");
-			toolbar.style.setProperty("left", elPosX + "px");
-			toolbar.style.setProperty("height", tbHeight + "px");
-			toolbar.style.setProperty("width", tbWidth + "px");
-		}
-		setPosition();
+		this._updateTabStop();
+	}
 
-		this._addTools(toolbar);
+	/**
+	 * Replace the content of the section being edited with its published content.
+	 * The change is recorded in the history, so that it can be undone.
+	 * @param {Event} e - An event object from clicking the revert button.
+	 * @private
+	 */
+	_revertSection (e){
+		e.preventDefault();
+		const el = document.querySelector(".cms-editable[contenteditable=true]");
+		const section = el ? findSection(el, this.sections) : null;
 
-		// Only add a local toolbar if another one does not exist.
-		if(!document.querySelector(".local-toolbar"))
-			body.appendChild(toolbar);
+		if(!section || (section.edited_text === section.original_text && section.edited_tag === section.original_tag)) return;
 
-		el.addEventListener("input", setPosition);
+		if(section.edited_tag !== section.original_tag)
+			return this._changeSectionTag(section, section.original_tag, section.original_text);
 
-		return toolbar;
+		el.innerHTML = section.original_text;
+		this._setEdits(el, { merge: false });
 	}
 
 	/**
-	 * Add buttons to a local toolbar.
-	 * @param {HTMLElement} toolbar - The toolbar to add buttons to.
+	 * Add an event listener that is removed when the CMS is destroyed.
+	 * @param {EventTarget} target - The target to listen to.
+	 * @param {string} type - The type of event.
+	 * @param {function} handler - The function that fires when the event occurs.
 	 * @private
 	 */
-	_addTools (toolbar){
-		const bold = this._createBtn({ name: "bold", handler: this._makeBold });
-		const italic = this._createBtn({ name: "italic", handler: this._makeItalic });
-		const underline = this._createBtn({ name: "underline", handler: this._makeUnderline });
-		const linethrough = this._createBtn({ name: "linethrough", handler: this._makeLinethrough });
-		const link = this._createBtn({ name: "link", handler: (e) => this._insertLink(e) });
-		const unlink = this._createBtn({ name: "unlink", handler: this._unlink });
-
-		const tools = [bold, italic, underline, linethrough, link, unlink];
+	_listen (target, type, handler){
+		target.addEventListener(type, handler);
+		this.listeners.push({ target, type, handler });
+	}
 
-		appendTools(tools, toolbar);
+	/**
+	 * Remove an event listener added with _listen, before the CMS is destroyed.
+	 * @param {EventTarget} target - The target that is listened to.
+	 * @param {string} type - The type of event.
+	 * @param {function} handler - The function that was added.
+	 * @private
+	 */
+	_unlisten (target, type, handler){
+		target.removeEventListener(type, handler);
+		this.listeners = this.listeners.filter(listener =>
+			listener.target !== target || listener.type !== type || listener.handler !== handler
+		);
 	}
 
 	/**
-	 * Adds a local toolbar and highlighting around an element.
-	 * @param {Event} e - An event object
+	 * Schedule another save after a failed one. The delay doubles with every failed attempt, up to a minute.
+	 * Requests rejected by the server, eg. with 400 or 401, are not retried since they would fail again.
+	 * @param {object} response - The response of the failed save request.
 	 * @private
 	 */
-	_addEdit (e){
-		const el = getTopParent(e.target, this.tags) || e.target;
-		const ctrl = e.ctrlKey;
+	_retrySave (response){
+		const status = response.status;
+		const maxDelay = 60 * 1000;
 
-		if(ctrl && el.localName === "a")
-			navigateViaLink(el);
+		if(status !== 0 && status < 500) return;
 
-		el.setAttribute("contenteditable", true);
-		el.focus();
-		el.classList.add("outline");
+		const delay = Math.min(1000 * Math.pow(2, this.retries), maxDelay);
+		this.retries++;
 
-		this._addLocalToolbar(el);
+		clearTimeout(this.retryTimeout);
+		this.retryTimeout = setTimeout(() => this._saveInBackground("retry"), delay);
 	}
 
 	/**
-	 * Removes the local toolbar and highlighting around an element
+	 * Look for drafts that were not saved, eg. because the page was closed while offline.
+	 * If there are drafts based on the content currently on the page, ask the user whether to restore them.
+	 * @private
+	 */
+	_findDrafts (){
+		const page = this._getDraftsKey();
+		const drafts = getDrafts(page);
+		const sections = this.sections.filter(section => {
+			const draft = drafts.sections[getSectionKey(section)];
+
+			return draft && draft.saved_text === section.saved_text &&
+				(draft.edited_text !== section.saved_text || (draft.edited_tag || section.saved_tag) !== section.saved_tag);
+		});
+		const meta = drafts.meta && isSameMeta(drafts.meta.saved, this.meta.saved) ? drafts.meta.edited : null;
+
+		// Drafts based on content that has changed since are outdated.
+		if(sections.length === 0 && !meta)
+			return clearDrafts(page);
+
+		notify({
+			message: this.locale.drafts.found,
+			type: "warning",
+			id: "drafts",
+			closeLabel: this.locale.notifications.close,
+			duration: 0,
+			actions: [
+				{ label: this.locale.drafts.restore, handler: () => this._restoreDrafts(sections, drafts.sections, meta) },
+				{ label: this.locale.drafts.discard, handler: () => clearDrafts(page) }
+			]
+		});
+	}
+
+	/**
+	 * Restore drafts of sections and meta info.
+	 * @param {object[]} sections - The sections that have drafts.
+	 * @param {object} drafts - The drafts of the sections, keyed by the id or path of the section.
+	 * @param {object|null} meta - The edited meta info.
+	 * @private
+	 */
+	_restoreDrafts (sections, drafts, meta){
+		for(let section of sections){
+			const draft = drafts[getSectionKey(section)];
+
+			this._replaceSectionElement(section, draft.edited_tag || section.edited_tag, draft.edited_text);
+			section.edited_text = draft.edited_text;
+			section.edited_tag = section.element.localName;
+		}
+
+		this._setSaveStatus();
+
+		// Like the sections, restored meta info is saved when the user, or autosave, saves next.
+		if(meta)
+			this._setMeta(meta, { save: false });
+	}
+
+	/**
+	 * Store a draft of a section, or remove it when there are no unsaved changes.
+	 * @param {object} section - The section to store.
+	 * @private
+	 */
+	_storeDraft (section){
+		const page = this._getDraftsKey();
+		const key = getSectionKey(section);
+
+		if(section.edited_text === section.saved_text && section.edited_tag === section.saved_tag)
+			removeDraft(page, key);
+		else
+			setDraft(page, key, {
+				saved_text: section.saved_text,
+				edited_text: section.edited_text,
+				saved_tag: section.saved_tag,
+				edited_tag: section.edited_tag
+			});
+	}
+
+	/**
+	 * Store a draft of the meta info, or remove it when there are no unsaved changes.
+	 * @private
+	 */
+	_storeMetaDraft (){
+		const page = this._getDraftsKey();
+		const{ edited, saved } = this.meta;
+
+		if(isSameMeta(edited, saved))
+			removeMetaDraft(page);
+		else
+			setMetaDraft(page, { edited, saved });
+	}
+
+	/**
+	 * Get the key that drafts of the current page and content language are stored under.
+	 * @returns {string}
+	 * @private
+	 */
+	_getDraftsKey (){
+		const page = window.location.pathname;
+
+		return this.contentLanguage ? `${page}#${this.contentLanguage}` : page;
+	}
+
+	/**
+	 * Display an error and emit it as an "error" event.
+	 * @param {string} type - What failed, should correspond to a name in the errors of the locale file. eg. "save".
+	 * @param {object} [response] - The response of the failed request.
+	 * @param {function} [retry] - A function that retries the failed action. If specified, the notification gets a retry button.
+	 * @private
+	 */
+	_error (type, response = {}, retry = null){
+		const errors = this.locale.errors;
+		const status = response.status;
+		const message = status === 401 ? errors.unauthorized : errors[type];
+		const actions = retry ? [{ label: this.locale.notifications.retry, handler: retry }] : [];
+
+		notify({
+			message,
+			type: "error",
+			id: type,
+			actions,
+			closeLabel: this.locale.notifications.close,
+			duration: 0
+		});
+
+		// An "error" event without listeners would throw, so only emit it when someone listens.
+		if(this.listenerCount("error"))
+			this.emit("error", { type, message, status });
+	}
+
+	/**
+	 * Display a notification.
+	 * @param {string} type - The type of notification. Valid values are: "success", "warning" and "error".
+	 * @param {string} message - The message to display.
+	 * @param {string} [id] - Identifies the notification, so that it replaces earlier notifications with the same id.
+	 * @private
+	 */
+	_notify (type, message, id){
+		notify({
+			message,
+			type,
+			id,
+			closeLabel: this.locale.notifications.close
+		});
+	}
+
+	/**
+	 * Set the status of the publish icon. Disabled or not disabled.
+	 * @private
+	 */
+	_setPublishStatus (){
+		const hasChanged = this._changedSincePublish();
+		const button = document.querySelector(".cms-publish");
+
+		if(!button) return;
+
+		if(!hasChanged)
+			button.setAttribute("disabled", "true");
+		else if(hasChanged)
+			button.removeAttribute("disabled");
+
+		this._setStatus();
+	}
+
+	/**
+	 * Check whether there have been changes since the last publish.
+	 * @returns {boolean} - True means that saved changes have not been published yet.
+	 * @private
+	 */
+	_changedSincePublish (){
+		const sections = this.sections;
+
+		if(this.meta && !isSameMeta(this.meta.saved, this.meta.published))
+			return true;
+
+		for(let section of sections)
+			if(section.saved_text !== section.original_text || section.saved_tag !== section.original_tag)
+				return true;
+
+		for(let container of this.containers)
+			if(!isSameItems(container.saved_items, container.original_items))
+				return true;
+
+		return false;
+	}
+
+	/**
+	 * Set the content that was just published as the original text.
+	 * @private
+	 */
+	_setPublished (){
+		const sections = this.sections;
+
+		for(let section of sections){
+			section.original_text = section.saved_text;
+			section.original_tag = section.saved_tag;
+		}
+
+		for(let container of this.containers)
+			container.original_items = container.saved_items;
+
+		this.meta.published = this.meta.saved;
+
+		// What was just published is now the published version.
+		if(this.mode === "published")
+			this._showVersion("original_text");
+
+		this._setPublishStatus();
+	}
+
+	/**
+	 * Sets the status of the save button, whether it is disabled or not.
+	 * @private
+	 */
+	_setSaveStatus (){
+		const hasChanged = this._changedSinceSave();
+		const saveButton = document.querySelector(".cms-save");
+
+		if(!saveButton) return;
+
+		if(!hasChanged)
+			saveButton.setAttribute("disabled", "true");
+		else if(hasChanged)
+			saveButton.removeAttribute("disabled");
+
+		this._setStatus();
+	}
+
+	/**
+	 * Update the status hints in the main toolbar.
+	 * @private
+	 */
+	_setStatus (){
+		const saveStatus = document.querySelector(".cms-status .save-status");
+		const publishStatus = document.querySelector(".cms-status .publish-status");
+		const hints = this.locale.hints;
+
+		this._updateTabStop();
+
+		if(!saveStatus || !publishStatus) return;
+
+		const unsaved = this._changedSinceSave();
+		const unpublished = this._changedSincePublish();
+
+		saveStatus.textContent = unsaved ? hints.unsaved : hints.saved;
+		saveStatus.classList.toggle("changed", unsaved);
+		publishStatus.textContent = unpublished ? hints.unpublished : hints.published;
+		publishStatus.classList.toggle("changed", unpublished);
+
+		if(this.contentLanguage)
+			this._storeLanguageStatus({ unpublished: unsaved || unpublished });
+	}
+
+	/**
+	 * Checks whether or not changes have been made since the last save.
+	 * @returns {boolean} - True means that changes have been made. False means no changes have been made.
+	 * @private
+	 */
+	_changedSinceSave (){
+		const sections = this.sections;
+
+		if(this.meta && !isSameMeta(this.meta.edited, this.meta.saved))
+			return true;
+
+		for(let section of sections)
+			if(section.edited_text !== section.saved_text || section.edited_tag !== section.saved_tag)
+				return true;
+
+		for(let container of this.containers)
+			if(!isSameItems(getItemIds(container), container.saved_items))
+				return true;
+
+		return false;
+	}
+
+	/**
+	 * Set the saved content.
+	 * @param {object[]} changedSections - And array of sections that have changed.
+	 * @param {object} meta - The meta info that was saved.
+	 * @param {Map} [savedItems] - The ids of the items that were saved, by repeatable container.
+	 * @private
+	 */
+	_setSaved (changedSections, meta, savedItems = new Map()){
+		const sections = this.sections;
+
+		for(let section of sections){
+			const element = section.element;
+
+			changedSections.forEach( changedSection => {
+				if(changedSection.element !== element) return;
+
+				section.saved_text = changedSection.edited_text;
+				section.saved_tag = changedSection.edited_tag;
+			});
+
+			this._storeDraft(section);
+		}
+
+		savedItems.forEach((items, container) => {
+			container.saved_items = items;
+		});
+
+		this.meta.saved = meta;
+		this._storeMetaDraft();
+
+		this._setSaveStatus();
+		this._setPublishStatus();
+	}
+
+	/**
+	 * Sets the edited content in a section.
+	 * @param {string} element - An editable element
+	 * @param {object} [options] - Options for how the edit is recorded in the history.
+	 * @param {boolean} [options.record] - Whether to record the edit in the history.
+	 * @param {boolean} [options.merge] - Whether the edit may be merged with the previous edit of the section, eg. while typing.
+	 * @private
+	 */
+	_setEdits (element, { record = true, merge = true } = {}){
+		const content = element.innerHTML;
+		const section = findSection(element, this.sections);
+		const previous = section.edited_text;
+
+		if(record && previous !== content){
+			this.history.push({ target: section, before: previous, after: content }, merge);
+			this._setHistoryStatus();
+		}
+
+		section.edited_text = content;
+		this._storeDraft(section);
+		this._setSaveStatus();
+		this._saveWhenIdle();
+	}
+
+	/**
+	 * Save once the user has stopped editing for a while, if the autosave option says so.
+	 * @private
+	 */
+	_saveWhenIdle (){
+		if(!this.autosave.idle) return;
+
+		clearTimeout(this.idleTimeout);
+		this.idleTimeout = setTimeout(() => this._saveInBackground("idle"), this.autosave.idle);
+	}
+
+	/**
+	 * Remove html that is not allowed from the edited content of a section.
+	 * What was removed is reported with a notification and a "sanitized" event.
+	 * @param {object} section - The section to sanitize.
+	 * @private
+	 */
+	_sanitizeSection (section){
+		if(!this.sanitizeOptions) return;
+
+		const{ html, removed } = sanitize(section.edited_text, this.sanitizeOptions);
+
+		if(removed.length === 0) return;
+
+		const dirty = section.edited_text;
+
+		// The removed html must not come back by undoing or redoing, whether it was recorded alone or along with a new tag.
+		this.history.map((value, target) => {
+			if(target === section && value === dirty) return html;
+
+			return target.section === section && value.html === dirty ? { tag: value.tag, html } : value;
+		});
+
+		// While the published version is displayed, the edits are only in the section, not on the page.
+		if(this.mode === "published"){
+			section.edited_text = html;
+			this._storeDraft(section);
+		}
+
+		if(this.mode !== "published"){
+			section.element.innerHTML = html;
+			this._setEdits(section.element, { record: false });
+		}
+
+		this._reportSanitized(removed, "save", section);
+	}
+
+	/**
+	 * Convert pasted content into the formatting allowed where it is pasted, and sanitize it before it is inserted.
+	 * Pasted html keeps bold, italic, underlined, struck through and linked text and lists. Paragraphs pasted into
+	 * a heading or a link are joined into one line. Content pasted with the plain paste shortcut is inserted as text.
+	 * Pasted image files are uploaded.
+	 * @param {ClipboardEvent} e - The paste event.
+	 * @private
+	 */
+	async _paste (e){
+		const data = e.clipboardData;
+		const el = e.currentTarget;
+		const section = findSection(el, this.sections);
+		const selection = window.getSelection();
+		const isPlain = Date.now() - this.plainPasteTime < 1000;
+
+		if(!data || !selection.rangeCount) return;
+
+		const html = isPlain ? "" : data.getData("text/html");
+		const text = data.getData("text/plain");
+		const image = this._isTagAllowed("img") ? getImageFile(data) : null;
+
+		this.plainPasteTime = 0;
+
+		if(!html && !text && !image) return;
+		e.preventDefault();
+
+		if(!html && !text){
+			const range = selection.getRangeAt(0);
+			const src = await this._uploadImage(image);
+
+			if(src)
+				this._placeImage(src, range);
+
+			return;
+		}
+
+		const target = getPasteTarget(selection.anchorNode, el);
+		let content = html ? convertHtml(html, target) : convertText(text, target);
+
+		if(this.sanitizeOptions){
+			const result = sanitize(content, this.sanitizeOptions);
+			content = result.html;
+
+			if(result.removed.length)
+				this._reportSanitized(result.removed, "paste", section);
+		}
+
+		insertHtml(selection.getRangeAt(0), content);
+		this._setEdits(el, { merge: false });
+	}
+
+	/**
+	 * Report html that was removed by the sanitizer with a "sanitized" event.
+	 * Content removed before saving is also displayed to the user, since it was visible on the page.
+	 * @param {object[]} removed - What was removed, as returned by sanitize.
+	 * @param {string} source - What was sanitized, "paste" or "save".
+	 * @param {object} section - The section the html was removed from.
+	 * @private
+	 */
+	_reportSanitized (removed, source, section){
+		const names = removed.map(item => item.type === "element" ? `<${item.name}>` : item.name);
+		const unique = names.filter((name, i) => names.indexOf(name) === i);
+
+		if(source === "save")
+			this._notify("warning", `${this.locale.notifications.sanitized} ${unique.join(", ")}`, "sanitized");
+
+		this.emit("sanitized", { source, section, removed });
+	}
+
+	/**
+	 * Handle all shortcuts.
+	 * @private
+	 */
+	_handleShortcuts (){
+		// Keep the existing handler, so that it can be restored when the CMS is destroyed.
+		this.previousKeydown = document.onkeydown;
+
+		document.onkeydown = (e) => {
+			const combo = getEventCombo(e);
+			const shortcut = getShortcut(this.shortcuts, combo);
+			const isInputContext = e.target.classList.contains("cms-editable");
+			const isTyping = e.target.isContentEditable || ["input", "textarea", "select"].indexOf(e.target.localName) !== -1;
+			const hasModifier = combo.some(key => ["ctrl", "meta", "alt"].indexOf(key) !== -1);
+
+			// Shortcuts without a modifier, eg. "?", are only shortcuts when they don't type text.
+			if(shortcut === false || (isTyping && !hasModifier)) return;
+
+			// Fields outside of the sections, eg. an input on the page, undo and redo their own text.
+			if(isTyping && !isInputContext && shortcut.native) return;
+
+			if(isInputContext || shortcut.global){
+				e.stopImmediatePropagation();
+
+				// Some shortcuts only prepare for what the browser does, eg. paste as plain text.
+				if(!shortcut.allowDefault)
+					e.preventDefault();
+
+				if(e.repeat) return;
+
+				shortcut.func(e);
+			}
+		};
+	}
+
+	/**
+	 * Create the built-in keyboard shortcuts, with the combos of the shortcuts option or the locale file.
+	 * @returns {object[]}
+	 * @private
+	 */
+	_createShortcuts (){
+		const locale = this.locale.shortcuts;
+		const actions = [
+			{ id: "save", func: () => this.save(), global: true },
+			{ id: "undo", func: () => this.undo(), global: true, native: true },
+			{ id: "redo", func: () => this.redo(), global: true, native: true },
+			{ id: "help", func: () => this._toggleShortcutHelp(), global: true },
+			{ id: "toolbar", func: () => this._focusToolbar(), global: true },
+			{ id: "plainPaste", func: () => { this.plainPasteTime = Date.now(); }, allowDefault: true },
+			{ id: "bold", func: () => this._makeBold() },
+			{ id: "italic", func: () => this._makeItalic() },
+			{ id: "underline", func: () => this._makeUnderline() },
+			{ id: "linethrough", func: () => this._makeLinethrough() },
+			{ id: "link", func: (e) => this._insertLink(e) }
+		];
+		const shortcuts = [];
+
+		for(let action of actions){
+			const defaults = action.id === "help" ? [locale.help.combo, ["?"]] : [locale[action.id].combo];
+
+			for(let combo of this._getCombos(action.id, defaults))
+				shortcuts.push(Object.assign({ name: locale[action.id].name, combo }, action));
+		}
+
+		return shortcuts;
+	}
+
+	/**
+	 * Get the combos of a shortcut, from the shortcuts option if it is specified there.
+	 * @param {string} id - The name of the action or tool.
+	 * @param {Array<string|string[]>} defaults - The default combos.
+	 * @returns {string[][]}
+	 * @private
+	 */
+	_getCombos (id, defaults){
+		const option = this.shortcutOptions[id];
+
+		if(option === false) return[];
+
+		const combos = option === undefined ? defaults : [].concat(option);
+
+		return combos.filter(combo => !!combo).map(combo => parseShortcut(combo));
+	}
+
+	/**
+	 * Warn the developer about shortcuts with the same combo. Only the first of them is used.
+	 * @param {string} [id] - Only warn about conflicts with the shortcuts of this action or tool.
+	 * @private
+	 */
+	_checkShortcutConflicts (id){
+		const used = {};
+
+		for(let shortcut of this.shortcuts){
+			const key = shortcut.combo.join("+");
+			const other = used[key];
+
+			if(!other)
+				used[key] = shortcut;
+			else if(other.id !== shortcut.id && (!id || id === shortcut.id || id === other.id))
+				console.warn(`CMS: The shortcut ${key} of "${shortcut.id}" is already used by "${other.id}", and is ignored.`);
+		}
+	}
+
+	/**
+	 * Show or hide a list of every keyboard shortcut.
+	 * @private
+	 */
+	_toggleShortcutHelp (){
+		// The help is a dialog, so it can only be open when nothing else is.
+		if(document.querySelector(".cms-shortcuts")) return closeDialogs();
+
+		const list = document.createElement("dl");
+		const combos = {};
+		const names = {};
+
+		// Actions with several combos are listed once.
+		for(let shortcut of this.shortcuts){
+			if(!combos[shortcut.id]){
+				combos[shortcut.id] = [];
+				names[shortcut.id] = shortcut.name;
+			}
+
+			combos[shortcut.id].push(shortcut.combo);
+		}
+
+		for(let id of Object.keys(combos)){
+			const name = document.createElement("dt");
+			const keys = document.createElement("dd");
+
+			name.textContent = names[id];
+
+			for(let combo of combos[id]){
+				const key = document.createElement("kbd");
+				key.textContent = formatShortcut(combo);
+				keys.appendChild(key);
+			}
+
+			list.appendChild(name);
+			list.appendChild(keys);
+		}
+
+		openDialog({
+			title: this.locale.shortcutHelp.title,
+			labels: { close: this.locale.dialog.close },
+			className: "cms-shortcuts",
+			content: () => list
+		});
+	}
+
+	/**
+	 * Check every section for accessibility issues, and list them.
+	 * @private
+	 */
+	_checkAccessibility (){
+		const issues = checkAccessibility(this.sections.map(section => section.element));
+
+		if(!issues.length)
+			return this._notify("success", this.locale.a11y.none, "a11y");
+
+		this._showAccessibilityReport(issues);
+	}
+
+	/**
+	 * Let the user know when a section that was edited has accessibility issues.
+	 * @param {HTMLElement} el - The section.
+	 * @private
+	 */
+	_warnAboutIssues (el){
+		const issues = checkAccessibility([el]);
+
+		if(!issues.length) return dismiss("a11y");
+
+		notify({
+			message: this.locale.a11y.found,
+			type: "warning",
+			id: "a11y",
+			actions: [{ label: this.locale.a11y.show, handler: () => this._showAccessibilityReport(issues) }],
+			closeLabel: this.locale.notifications.close
+		});
+	}
+
+	/**
+	 * List accessibility issues in a dialog. Choosing an issue closes the dialog and edits the section it is in, to fix it.
+	 * @param {object[]} issues - The issues, as returned by checkAccessibility.
+	 * @private
+	 */
+	async _showAccessibilityReport (issues){
+		const locale = this.locale.a11y;
+
+		// A warning can ask for the report while another report is open.
+		if(document.querySelector(".cms-a11y-report"))
+			closeDialogs();
+
+		const issue = await openDialog({
+			title: locale.title,
+			labels: { close: this.locale.dialog.close },
+			className: "cms-a11y-report",
+			content: (close) => {
+				const list = document.createElement("ul");
+
+				for(let issue of issues){
+					const item = document.createElement("li");
+					const button = document.createElement("button");
+					const context = document.createElement("span");
+					const text = issue.section.textContent.trim();
+
+					button.type = "button";
+					button.textContent = locale[issue.type];
+					context.textContent = text.length > 60 ? text.slice(0, 59) + "…" : text;
+					button.appendChild(context);
+					button.addEventListener("click", () => close(issue));
+
+					item.appendChild(button);
+					list.appendChild(item);
+				}
+
+				return list;
+			}
+		});
+
+		if(issue)
+			this._showIssue(issue);
+	}
+
+	/**
+	 * Edit the section with an accessibility issue. Images are selected, so that their alt text can be edited.
+	 * @param {object} issue - The issue, as returned by checkAccessibility.
+	 * @private
+	 */
+	_showIssue ({ element, section }){
+		if(!section.isConnected) return;
+
+		section.scrollIntoView({ block: "center" });
+		this._stopEditing();
+		this._addEdit({ target: element, ctrlKey: false });
+	}
+
+	/**
+	 * Open the meta editor, with the fields of the metaFields option and a preview of the page as a search result and a social card.
+	 * @private
+	 */
+	async _editMeta (){
+		const metaInfo = getMetaInfo(this.metaFields);
+		const locale = this.locale.meta;
+		const text = (key) => locale[key] || key;
+		const fields = this.metaFields.map(field => ({
+			name: field.name,
+			label: text(field.label || field.name),
+			type: field.type,
+			value: field.format ? field.format(metaInfo[field.name]) : metaInfo[field.name],
+			options: field.options && field.options.map(option => ({ value: option.value, label: text(option.label) })),
+			hint: field.hint && text(field.hint),
+			maxLength: field.maxLength
+		}));
+		const parse = (values) => {
+			const parsed = {};
+
+			for(let field of this.metaFields)
+				parsed[field.name] = field.parse ? field.parse(values[field.name]) : values[field.name];
+
+			return parsed;
+		};
+
+		const values = await openDialog({
+			title: locale.title,
+			className: "cms-meta-editor",
+			labels: Object.assign({ submit: locale.submit }, this.locale.dialog),
+			fields,
+			validate: (values) => {
+				const errors = {};
+
+				for(let field of this.metaFields)
+					if(field.validate && !field.validate(values[field.name]))
+						errors[field.name] = text(field.error || "invalid");
+
+				return errors;
+			},
+			preview: (values) => renderMetaPreview(Object.assign({}, metaInfo, parse(values)), locale)
+		});
+
+		if(values)
+			this._setMeta(parse(values));
+	}
+
+	/**
+	 * Change the meta info of the page. Missing tags are created, and tags are removed when their value is empty.
+	 * @param {object} values - The new values, by the name of the meta field. Fields that are missing are left as they are.
+	 * @param {object} [options] - Options for how the change is handled.
+	 * @param {boolean} [options.record] - Whether to record the change in the edit history.
+	 * @param {boolean} [options.save] - Whether to save the change right away, if the autosave option is on.
+	 * @private
+	 */
+	_setMeta (values, { record = true, save = true } = {}){
+		const previous = this.meta.edited;
+
+		setMetaInfo(this.metaFields, values);
+
+		this.meta.edited = getMetaInfo(this.metaFields);
+		this._storeMetaDraft();
+
+		if(record && !isSameMeta(previous, this.meta.edited)){
+			this.history.push({ target: "meta", before: previous, after: this.meta.edited }, false);
+			this._setHistoryStatus();
+		}
+
+		this._setSaveStatus();
+
+		// With autosave off, the change is saved along with the rest when the user saves.
+		if(save && this._isAutosaving())
+			this._saveInBackground("meta");
+	}
+
+	/**
+	 * Check whether changes are saved automatically in any way, according to the autosave option.
+	 * @returns {boolean}
+	 * @private
+	 */
+	_isAutosaving (){
+		const{ interval, idle, blur } = this.autosave;
+
+		return!!(interval || idle || blur);
+	}
+
+	/**
+	 * Get the built-in tools of the main and local toolbars, in the order they are displayed.
+	 * Tools with a create function render something other than a button, or nothing.
+	 * @returns {object[]}
+	 * @private
+	 */
+	_getDefaultTools (){
+		const isFormatted = (format) => ({ element, range }) => !!range && isFormatActive(range, format, element);
+		const isList = (listTag) => ({ element, range }) => !!range && getListType(range, element) === listTag;
+
+		return[
+			{
+				name: "logout",
+				scope: "global",
+				create: () => typeof this.logout === "function" ? this._createBtn({ name: "logout", handler: this.logout }) : null
+			},
+			{
+				name: "langs",
+				scope: "global",
+				create: () => this.contentLanguages.length > 1 ? this._createDropdown({
+					name: "langs",
+					options: this.contentLanguages,
+					value: this.contentLanguage,
+					handler: (e) => this._changeLanguage(e)
+				}) : null
+			},
+			{ name: "meta", scope: "global", handler: () => this._editMeta() },
+			{ name: "a11y", scope: "global", handler: () => this._checkAccessibility() },
+			{ name: "preview", scope: "global", handler: () => this._setMode(this.mode === "preview" ? "edit" : "preview") },
+			{ name: "published", scope: "global", handler: () => this._setMode(this.mode === "published" ? "edit" : "published") },
+			{ name: "undo", scope: "global", handler: () => this.undo() },
+			{ name: "redo", scope: "global", handler: () => this.redo() },
+			{ name: "status", scope: "global", create: () => this._createStatus() },
+			{ name: "save", scope: "global", handler: () => this.save() },
+			{ name: "publish", scope: "global", handler: () => this.publish() },
+			{ name: "blockType", scope: "local", create: () => this._createBlockTypeSelect() },
+			{ name: "bold", scope: "local", handler: (e) => this._makeBold(e), isActive: isFormatted(formats.bold) },
+			{ name: "italic", scope: "local", handler: (e) => this._makeItalic(e), isActive: isFormatted(formats.italic) },
+			{ name: "underline", scope: "local", handler: (e) => this._makeUnderline(e), isActive: isFormatted(formats.underline) },
+			{ name: "linethrough", scope: "local", handler: (e) => this._makeLinethrough(e), isActive: isFormatted(formats.linethrough) },
+			{ name: "superscript", scope: "local", handler: (e) => this._makeSuperscript(e), isActive: isFormatted(formats.superscript) },
+			{ name: "subscript", scope: "local", handler: (e) => this._makeSubscript(e), isActive: isFormatted(formats.subscript) },
+			{ name: "clear", scope: "local", handler: (e) => this._clearFormats(e) },
+			{ name: "link", scope: "local", handler: (e) => this._insertLink(e), isActive: () => !!this._getActiveLink() },
+			{ name: "unlink", scope: "local", handler: (e) => this._unlink(e) },
+			{ name: "bulletedList", scope: "local", handler: (e) => this._toggleList("ul", e), isActive: isList("ul") },
+			{ name: "numberedList", scope: "local", handler: (e) => this._toggleList("ol", e), isActive: isList("ol") },
+			{ name: "outdent", scope: "local", handler: (e) => this._outdent(e) },
+			{ name: "indent", scope: "local", handler: (e) => this._indent(e) },
+			{ name: "image", scope: "local", handler: (e) => this._insertImage(e) },
+			{ name: "alt", scope: "local", handler: (e) => this._editAlt(e) },
+			{ name: "revert", scope: "local", handler: (e) => this._revertSection(e) }
+		];
+	}
+
+	/**
+	 * Insert a tool before or after another tool, or last if neither is found.
+	 * @param {object} tool - The tool to insert.
+	 * @param {string} [before] - The name of the tool to insert it before.
+	 * @param {string} [after] - The name of the tool to insert it after.
+	 * @private
+	 */
+	_insertTool (tool, before, after){
+		const beforeIndex = this.tools.findIndex(tool => tool.name === before);
+		const afterIndex = this.tools.findIndex(tool => tool.name === after);
+
+		if(beforeIndex !== -1)
+			this.tools.splice(beforeIndex, 0, tool);
+		else if(afterIndex !== -1)
+			this.tools.splice(afterIndex + 1, 0, tool);
+		else
+			this.tools.push(tool);
+	}
+
+	/**
+	 * Run the handler of a registered tool. Changes it makes to the section being edited are saved as an edit.
+	 * @param {function} handler - The handler of the tool.
+	 * @param {Event} e - The event that triggered the tool.
+	 * @private
+	 */
+	async _runTool (handler, e){
+		const element = document.querySelector(".cms-editable[contenteditable=true]");
+		const range = element ? this._getSelectionIn(element) : null;
+		const html = element ? element.innerHTML : null;
+
+		// Keep the focus and the selection in the section.
+		if(e) e.preventDefault();
+
+		await handler(e, { cms: this, element, range });
+
+		if(element && element.innerHTML !== html)
+			this._setEdits(element, { merge: false });
+	}
+
+	/**
+	 * Create the elements of the tools of a toolbar.
+	 * @param {string} scope - The toolbar, "local" or "global".
+	 * @returns {HTMLElement[]}
+	 * @private
+	 */
+	_createTools (scope){
+		return this.tools
+			.filter(tool => tool.scope === scope)
+			.map(tool => tool.create ? tool.create() : this._createBtn(tool));
+	}
+
+	/**
+	 * Render the toolbars again after tools have changed.
+	 * @private
+	 */
+	_refreshTools (){
+		const toolbar = document.querySelector(".cms-toolbar");
+		const localToolbar = document.querySelector(".local-toolbar");
+
+		if(!this.running) return;
+
+		if(toolbar){
+			toolbar.remove();
+			this._renderToolbar();
+		}
+
+		if(localToolbar){
+			localToolbar.innerHTML = "";
+			this._addTools(localToolbar);
+			this._updateToolStatus();
+		}
+	}
+
+	/**
+	 * Render the global toolbar.
+	 * @private
+	 */
+	_renderToolbar (){
+		const body = document.body;
+		const toolbar = document.createElement("div");
+		const tools = this._createTools("global");
+		const drag = this._createBtn({ name: "drag", handler: (e) => this._dragToolbar(e) });
+		const collapse = this._createBtn({ name: "collapse", handler: (e) => this._toggleToolbar(e) });
+
+		body.classList.add("cms-active");
+		toolbar.classList.add("cms-toolbar");
+
+		appendTools([drag, collapse].concat(tools), toolbar);
+		body.appendChild(toolbar);
+		initToolbar(toolbar, this.locale.a11y.toolbar);
+
+		this._placeToolbar();
+		this._setSaveStatus();
+		this._setPublishStatus();
+		this._setHistoryStatus();
+		this._renderLanguageStatus();
+	}
+
+	/**
+	 * Dock the main toolbar to the top or bottom of the window, or place it where it was dropped,
+	 * and collapse or expand it, as stored in its position.
+	 * @private
+	 */
+	_placeToolbar (){
+		const toolbar = document.querySelector(".cms-toolbar");
+		const body = document.body;
+		const position = this.toolbarPosition;
+
+		if(!toolbar) return;
+
+		const dock = position.dock;
+		const modes = ["preview", "published"];
+		const previewing = this.mode !== "edit";
+		const collapsed = position.collapsed || previewing;
+		const collapse = toolbar.querySelector(".cms-collapse");
+		const tooltip = collapsed ? this.locale.tooltips.expand : this.locale.tooltips.collapse;
+
+		toolbar.classList.toggle("docked-top", dock === "top");
+		toolbar.classList.toggle("docked-bottom", dock === "bottom");
+		toolbar.classList.toggle("floating", !dock);
+		toolbar.classList.toggle("collapsed", position.collapsed && !previewing);
+		toolbar.classList.toggle("previewing", previewing);
+
+		// Docked toolbars make room for themselves, so that they don't cover the page.
+		body.classList.toggle("cms-toolbar-top", dock === "top" && !collapsed);
+		body.classList.toggle("cms-toolbar-bottom", dock === "bottom" && !collapsed);
+
+		collapse.setAttribute("title", tooltip);
+		collapse.setAttribute("aria-expanded", String(!collapsed));
+
+		for(let mode of modes){
+			const btn = toolbar.querySelector(`[data-cms-tool="${mode}"]`);
+
+			if(btn)
+				btn.setAttribute("aria-pressed", String(this.mode === mode));
+		}
+
+		toolbar.style.removeProperty("left");
+		toolbar.style.removeProperty("top");
+
+		// Collapsing hides the tools, so the tab stop may have to move.
+		updateToolbar(toolbar);
+
+		if(dock) return;
+
+		// Keep the toolbar inside the window, eg. after the window was resized.
+		const rect = toolbar.getBoundingClientRect();
+		const left = Math.max(0, Math.min(position.left, window.innerWidth - rect.width));
+		const top = Math.max(0, Math.min(position.top, window.innerHeight - rect.height));
+
+		toolbar.style.setProperty("left", left + "px");
+		toolbar.style.setProperty("top", top + "px");
+	}
+
+	/**
+	 * Move the main toolbar by dragging its handle. It is docked when dropped close to the top or bottom of the window,
+	 * and snaps to the sides of the window when dropped close to them.
+	 * @param {MouseEvent} e - The mousedown event on the handle, or the click event when it is pressed with the keyboard.
+	 * @private
+	 */
+	_dragToolbar (e){
+		const toolbar = document.querySelector(".cms-toolbar");
+		const snapDistance = 30;
+
+		e.preventDefault();
+
+		// Pressed with the keyboard, the handle moves the toolbar between the top and the bottom of the window.
+		if(e.type !== "mousedown"){
+			this.toolbarPosition.dock = this.toolbarPosition.dock === "top" ? "bottom" : "top";
+			this._placeToolbar();
+			setStoredValue("cms-toolbar", this.toolbarPosition);
+			return;
+		}
+
+		const start = toolbar.getBoundingClientRect();
+		const offsetY = e.clientY - start.top;
+		let offsetX = e.clientX - start.left;
+
+		const move = (e) => {
+			const rect = toolbar.getBoundingClientRect();
+
+			// A docked toolbar is narrower once it floats, so keep the handle under the pointer.
+			offsetX = Math.min(offsetX, rect.width - 10);
+
+			this.toolbarPosition.dock = null;
+			this.toolbarPosition.left = e.clientX - offsetX;
+			this.toolbarPosition.top = e.clientY - offsetY;
+			this._placeToolbar();
+		};
+
+		const drop = () => {
+			const position = this.toolbarPosition;
+			const rect = toolbar.getBoundingClientRect();
+
+			this._unlisten(window, "mousemove", move);
+			this._unlisten(window, "mouseup", drop);
+
+			if(position.dock) return;
+
+			if(rect.top < snapDistance)
+				position.dock = "top";
+			else if(rect.bottom > window.innerHeight - snapDistance)
+				position.dock = "bottom";
+
+			if(rect.left < snapDistance)
+				position.left = 0;
+			else if(rect.right > window.innerWidth - snapDistance)
+				position.left = window.innerWidth - rect.width;
+
+			this._placeToolbar();
+			setStoredValue("cms-toolbar", position);
+		};
+
+		this._listen(window, "mousemove", move);
+		this._listen(window, "mouseup", drop);
+	}
+
+	/**
+	 * Collapse the main toolbar to its handle and expand button, or expand it again.
+	 * @param {Event} e - An event object from pressing the collapse button.
+	 * @private
+	 */
+	_toggleToolbar (e){
+		e.preventDefault();
+
+		this.toolbarPosition.collapsed = !this.toolbarPosition.collapsed;
+		this._placeToolbar();
+		setStoredValue("cms-toolbar", this.toolbarPosition);
+	}
+
+	/**
+	 * Switch between editing the page, previewing it and displaying its published version. While previewing, sections are not
+	 * outlined or editable, their links can be followed and the main toolbar only has the preview buttons. The published version
+	 * replaces the content of every section with what was published, and hides items that have not been published yet.
+	 * @param {string} mode - "edit", "preview" or "published".
+	 * @private
+	 */
+	_setMode (mode){
+		const previous = this.mode;
+
+		if(mode === previous) return;
+
+		if(previous === "edit"){
+			this._stopEditing();
+			this.activeItem = null;
+			this._positionItemToolbar();
+		}
+
+		if(mode === "published")
+			this._showVersion("original_text");
+		else if(previous === "published")
+			this._showVersion("edited_text");
+
+		this.mode = mode;
+		document.body.classList.toggle("cms-previewing", mode !== "edit");
+
+		// Sections that were made focusable for editing are skipped while previewing.
+		for(let section of this.sections)
+			if(section.element.classList.contains("cms-focusable"))
+				section.element.setAttribute("tabindex", mode === "edit" ? "0" : "-1");
+
+		this._placeToolbar();
+
+		if(this.running)
+			announce(this.locale.preview[mode]);
+	}
+
+	/**
+	 * Display a version of the content of every section, eg. the published or the edited one.
+	 * Items of repeatable containers are hidden when the published version is displayed, unless they have been published.
+	 * @param {string} version - The property of the sections to display, "original_text" or "edited_text".
+	 * @private
+	 */
+	_showVersion (version){
+		const published = version === "original_text";
+
+		for(let section of this.sections)
+			this._replaceSectionElement(section, published ? section.original_tag : section.edited_tag, section[version]);
+
+		for(let container of this.containers)
+			for(let item of container.items)
+				item.element.classList.toggle("cms-unpublished", published && container.original_items.indexOf(item.id) === -1);
+	}
+
+	/**
+	 * Add a local toolbar to an HTMLElement. It follows the element, or the selection in it, until it is removed.
+	 * @param {HTMLElement} el - The HTMLElement to a toolbar to.
+	 * @returns {HTMLElement} The toolbar.
+	 * @private
+	 */
+	_addLocalToolbar (el){
+		const existing = document.querySelector(".local-toolbar");
+
+		// Clicking the section being edited again only moves its toolbar.
+		if(existing && this.positioner && this.positioner.watched === el){
+			this.positioner.update();
+			this._updateToolStatus();
+			return existing;
+		}
+
+		this._removeLocalToolbar();
+
+		const toolbar = document.createElement("div");
+		toolbar.classList.add("local-toolbar");
+
+		this._addTools(toolbar);
+		document.body.appendChild(toolbar);
+		initToolbar(toolbar, this.locale.a11y.localToolbar);
+
+		// Remember the selection when moving to the toolbar, so that its tools act on it.
+		toolbar.addEventListener("focusin", (e) => {
+			if(e.relatedTarget && el.contains(e.relatedTarget))
+				this.toolbarSelection = saveSelection(false);
+		});
+		toolbar.addEventListener("keydown", (e) => {
+			if(e.key !== "Escape") return;
+
+			e.preventDefault();
+			el.focus();
+			applySelection(this.toolbarSelection);
+		});
+
+		this.positioner = new Positioner(toolbar, () => this._getLocalToolbarAnchor(el), {
+			getBounds: () => this._getLocalToolbarBounds()
+		});
+		this.positioner.start(el);
+		this._updateToolStatus();
+
+		return toolbar;
+	}
+
+	/**
+	 * Remove the local toolbar, and stop following the element it belonged to.
+	 * @private
+	 */
+	_removeLocalToolbar (){
+		const toolbar = document.querySelector(".local-toolbar");
+
+		if(this.positioner)
+			this.positioner.stop();
+
+		if(toolbar)
+			toolbar.remove();
+
+		this.positioner = null;
+	}
+
+	/**
+	 * Get what the local toolbar is placed next to: the selected text in the section being edited, or the section itself.
+	 * @param {HTMLElement} el - The section being edited.
+	 * @returns {DOMRect}
+	 * @private
+	 */
+	_getLocalToolbarAnchor (el){
+		const range = this._getSelectionIn(el);
+		const rect = range && !range.collapsed ? range.getBoundingClientRect() : null;
+
+		return rect && (rect.width || rect.height) ? rect : el.getBoundingClientRect();
+	}
+
+	/**
+	 * Get the part of the viewport the local toolbar may be placed in, which is not covered by a docked main toolbar.
+	 * @returns {object} { top, left, bottom, right }
+	 * @private
+	 */
+	_getLocalToolbarBounds (){
+		const toolbar = document.querySelector(".cms-toolbar");
+		const bounds = { top: 0, left: 0, bottom: window.innerHeight, right: window.innerWidth };
+		const dock = this.toolbarPosition && !this.toolbarPosition.collapsed ? this.toolbarPosition.dock : null;
+
+		if(!toolbar || !dock) return bounds;
+
+		const rect = toolbar.getBoundingClientRect();
+
+		if(dock === "top")
+			bounds.top = rect.bottom;
+		else
+			bounds.bottom = rect.top;
+
+		return bounds;
+	}
+
+	/**
+	 * Add buttons to a local toolbar.
+	 * @param {HTMLElement} toolbar - The toolbar to add buttons to.
+	 * @private
+	 */
+	_addTools (toolbar){
+		const tools = this._createTools("local");
+
+		appendTools(tools, toolbar);
+		toolbar.appendChild(this._createLinkBar());
+	}
+
+	/**
+	 * Create the dropdown changing the selected blocks between paragraphs and headings.
+	 * Only block types allowed by the tags option are listed.
+	 * @returns {HTMLSelectElement}
+	 * @private
+	 */
+	_createBlockTypeSelect (){
+		const select = document.createElement("select");
+		const tags = blockTypes.filter(tag => this._isTagAllowed(tag)).concat("li");
+		let range = null;
+
+		select.classList.add("cms-block-type");
+		select.setAttribute("data-cms-tool", "blockType");
+		select.setAttribute("title", this.locale.tooltips.blockType);
+
+		for(let tag of tags){
+			const option = document.createElement("option");
+			option.value = tag;
+			option.textContent = this.locale.elements[tag];
+
+			// List items are only displayed, they are changed with the list tools.
+			if(tag === "li")
+				option.disabled = true;
+
+			select.appendChild(option);
+		}
+
+		// The selection in the section is lost when the dropdown gets focus.
+		select.addEventListener("mousedown", () => { range = saveSelection(false); });
+		select.addEventListener("focus", () => { range = range || saveSelection(false); });
+		select.addEventListener("blur", () => { range = null; });
+		select.addEventListener("change", () => {
+			const el = document.querySelector(".cms-editable[contenteditable=true]");
+
+			if(el)
+				el.focus();
+
+			applySelection(range);
+			this._setBlockType(select.value);
+			range = null;
+		});
+
+		return select;
+	}
+
+	/**
+	 * Create the bar below the local toolbar showing the url of the link at the selection.
+	 * @returns {HTMLDivElement}
+	 * @private
+	 */
+	_createLinkBar (){
+		const bar = document.createElement("div");
+		const url = document.createElement("span");
+		const edit = this._createBtn({ name: "editLink", handler: (e) => this._insertLink(e) });
+		const open = this._createBtn({ name: "openLink", handler: (e) => this._openLink(e) });
+		const remove = this._createBtn({ name: "removeLink", handler: (e) => this._removeLink(e) });
+
+		bar.classList.add("cms-link-bar");
+		url.classList.add("cms-link-url");
+
+		appendTools([url, edit, open, remove], bar);
+
+		return bar;
+	}
+
+	/**
+	 * Update the local toolbar to match the selection. Formats of the selected text are marked as pressed,
+	 * the url of a selected link is shown, and tools that can't be used in the section are disabled.
+	 * @private
+	 */
+	_updateToolStatus (){
+		const toolbar = document.querySelector(".local-toolbar");
+		const el = document.querySelector(".cms-editable[contenteditable=true]");
+		const range = el ? this._getSelectionIn(el) : null;
+		const context = { cms: this, element: el, range };
+
+		for(let tool of this.tools){
+			const btn = tool.isActive ? document.querySelector(`[data-cms-tool="${tool.name}"]`) : null;
+
+			if(btn)
+				btn.setAttribute("aria-pressed", !!(el && tool.isActive(context)));
+		}
+
+		if(!toolbar || !el) return;
+
+		const link = this._getActiveLink();
+		const state = { link, indent: range ? canIndent(range, el) : { indent: false, outdent: false } };
+		const blockType = toolbar.querySelector(".cms-block-type");
+
+		for(let tool of toolbar.querySelectorAll("[data-cms-tool]"))
+			tool.disabled = !this._isToolValid(tool.getAttribute("data-cms-tool"), el, state);
+
+		// A paragraph or heading section is a block itself.
+		if(blockType)
+			blockType.value = range ? getBlockType(range, el) || (blockTypes.indexOf(el.localName) !== -1 ? el.localName : "") : "";
+
+		const bar = toolbar.querySelector(".cms-link-bar");
+		const url = bar.querySelector(".cms-link-url");
+		const href = link ? link.getAttribute("href") || "" : "";
+
+		bar.classList.toggle("show", !!link);
+		url.textContent = href;
+		url.setAttribute("title", href);
+
+		updateToolbar(toolbar);
+	}
+
+	/**
+	 * Check whether a tool of the local toolbar can be used in the section being edited.
+	 * Links can't be nested in a link section, images don't belong in links and headings,
+	 * blocks can only be changed in sections that contain blocks, tools can only create tags
+	 * that are allowed, and tools without anything to act on are disabled.
+	 * @param {string} name - The name of the tool.
+	 * @param {HTMLElement} el - The section being edited.
+	 * @param {object} state - The state of the selection.
+	 * @param {HTMLAnchorElement|null} state.link - The link at the selection.
+	 * @param {object} state.indent - Whether the selected list items can be indented and outdented, as returned by canIndent.
+	 * @returns {boolean}
+	 * @private
+	 */
+	_isToolValid (name, el, { link, indent }){
+		const isLink = el.localName === "a";
+		const isHeading = /^h[1-6]$/.test(el.localName);
+		const isContainer = containerTags.indexOf(el.localName) !== -1;
+		const isList = el.localName === "ul" || el.localName === "ol";
+		const isBlock = blockTypes.indexOf(el.localName) !== -1;
+		const canChangeTag = this._canChangeTag(el);
+		const section = findSection(el, this.sections);
+		const canList = (listTag) => (isContainer || (canChangeTag && (isBlock || isList))) && this._isTagAllowed(listTag) && this._isTagAllowed("li");
+
+		const isValid = {
+			blockType: isContainer || (isBlock && canChangeTag),
+			link: !isLink && this._isTagAllowed("a"),
+			unlink: !isLink && !!link,
+			removeLink: !isLink && !!link,
+			bulletedList: canList("ul"),
+			numberedList: canList("ol"),
+			indent: (isContainer || isList) && indent.indent,
+			outdent: (isContainer || isList) && indent.outdent,
+			image: !isLink && !isHeading && this._isTagAllowed("img"),
+			alt: !!this.selectedImage,
+			revert: !!section && (section.edited_text !== section.original_text || section.edited_tag !== section.original_tag)
+		};
+
+		for(let format of Object.keys(formats))
+			if(!(format in isValid))
+				isValid[format] = this._isTagAllowed(formats[format].tag);
+
+		return name in isValid ? isValid[name] : true;
+	}
+
+	/**
+	 * Get the selected range if it is inside an element.
+	 * @param {HTMLElement} el - The element.
+	 * @returns {Range|null}
+	 * @private
+	 */
+	_getSelectionIn (el){
+		const range = saveSelection(false);
+
+		if(!range || !el.contains(range.commonAncestorContainer)) return null;
+
+		return range;
+	}
+
+	/**
+	 * Get the link at the selection in the section being edited. A link section is its own link.
+	 * @returns {HTMLAnchorElement|null}
+	 * @private
+	 */
+	_getActiveLink (){
+		const el = document.querySelector(".cms-editable[contenteditable=true]");
+		const range = el ? this._getSelectionIn(el) : null;
+
+		if(!range) return null;
+
+		return getLink(range, el) || (el.localName === "a" ? el : null);
+	}
+
+	/**
+	 * Open the link at the selection in a new tab.
+	 * @param {Event} e - An event object from clicking the open link button.
+	 * @private
+	 */
+	_openLink (e){
+		e.preventDefault();
+		const link = this._getActiveLink();
+
+		if(link && link.href)
+			window.open(link.href, "_blank", "noopener");
+	}
+
+	/**
+	 * Remove the whole link at the selection, keeping its text.
+	 * @param {Event} e - An event object from clicking the remove link button.
+	 * @private
+	 */
+	_removeLink (e){
+		e.preventDefault();
+		const el = document.querySelector(".cms-editable[contenteditable=true]");
+		const link = this._getActiveLink();
+
+		if(!link || link === el) return;
+
+		const range = document.createRange();
+		range.selectNodeContents(link);
+
+		removeLink(range, el);
+		applySelection(range);
+		this._setEdits(el, { merge: false });
+	}
+
+	/**
+	 * Adds a local toolbar and highlighting around an element.
+	 * @param {Event} e - An event object
+	 * @private
+	 */
+	_addEdit (e){
+		const el = this._findSectionElement(e.target) || e.target;
+		const ctrl = e.ctrlKey;
+
+		// Sections are not edited while previewing, and their links work like on the published page.
+		if(this.mode !== "edit") return;
+
+		if(ctrl && el.localName === "a")
+			navigateViaLink(el);
+
+		// Links are edited rather than followed, unless ctrl is held.
+		if(e.type === "click" && !ctrl && e.target.closest("a"))
+			e.preventDefault();
+
+		el.setAttribute("contenteditable", true);
+		el.focus();
+		el.classList.add("outline");
+
+		if(e.target.localName === "img")
+			this._selectImage(e.target);
+		else
+			this._deselectImage();
+
+		this._addLocalToolbar(el);
+	}
+
+	/**
+	 * Start editing a section by pressing enter on it, and stop editing it with escape. The section keeps the focus.
+	 * @param {KeyboardEvent} e - The keydown event on the section.
+	 * @private
+	 */
+	_editWithKeyboard (e){
+		const el = e.currentTarget;
+		const editing = el.getAttribute("contenteditable") === "true";
+
+		if(e.key === "Enter" && !editing && e.target === el){
+			e.preventDefault();
+			this._addEdit(e);
+		}
+
+		if(e.key === "Escape" && editing){
+			e.preventDefault();
+			this._stopEditing();
+			el.focus();
+		}
+	}
+
+	/**
+	 * Stop editing a section when the focus leaves it, eg. by tabbing to the next section. Moving to the tools of the section doesn't count.
+	 * @param {FocusEvent} e - The focusout event on the section.
+	 * @private
+	 */
+	_leaveSection (e){
+		const el = e.currentTarget;
+		const next = e.relatedTarget;
+
+		if(el.getAttribute("contenteditable") !== "true" || !next || el.contains(next)) return;
+
+		if(next.closest(".cms-toolbar, .local-toolbar, .cms-item-toolbar, .cms-dialog")) return;
+
+		this._stopEditing();
+	}
+
+	/**
+	 * Removes the local toolbar and highlighting around an element
 	 * @param {Event} e - An event object
 	 * @private
 	 */
-	_removeEdit (e){
-		const target = e.target;
-		const el = document.querySelector(".cms-editable[contenteditable=true]");
-		const localToolbar = document.querySelector(".local-toolbar");
+	_removeEdit (e){
+		const target = e.target;
+		const el = document.querySelector(".cms-editable[contenteditable=true]");
+		const localToolbar = document.querySelector(".local-toolbar");
+		const itemToolbar = document.querySelector(".cms-item-toolbar");
+
+		if(
+			(localToolbar && localToolbar.contains(target)) ||
+			(itemToolbar && itemToolbar.contains(target)) ||
+			target.classList.contains("cms-btn") ||
+			target.classList.contains("cms-resize-handle") ||
+			target === el ||
+			document.querySelector(".cms-dialog")
+		) return false;
+
+		this._stopEditing();
+	}
+
+	/**
+	 * Stop editing the section being edited, if any, and store its edits.
+	 * @private
+	 */
+	_stopEditing (){
+		const el = document.querySelector(".cms-editable[contenteditable=true]");
+
+		this._removeLocalToolbar();
+		this._deselectImage();
+
+		// Remove editable attribute and highlighting.
+		if(el){
+			el.removeAttribute("contenteditable");
+			el.classList.remove("outline");
+		}
+
+		// Set save edited content.
+		if(el)
+			// const path = getSelectorPath(el);
+			this._setEdits(el);
+
+		if(el)
+			this._warnAboutIssues(el);
+
+		if(el && this.autosave.blur)
+			this._saveInBackground("blur");
+	}
+
+	/**
+	 * Create a button.
+	 * @param {object} options - Options to pass to create the button.
+	 * @param {string} options.name - The name of the button, should correspond to a name in the locale file.
+	 * @param {function} options.handler - The functions that fires when the button is pressed.
+	 * @param {string} [options.tooltip] - The tooltip of the button, instead of the one in the locale file.
+	 * @param {string} [options.icon] - The url of the icon of the button, instead of the one in the stylesheet.
+	 * @returns {HTMLElement}
+	 * @private
+	 */
+	_createBtn ({ name, handler, tooltip, icon }){
+		const title = tooltip || this.locale.tooltips[name] || name;
+		const shortcut = this.shortcuts.find(shortcut => shortcut.id === name);
+		const combo = shortcut ? ` (${formatShortcut(shortcut.combo)})` : "";
+
+		const btn = document.createElement("button");
+		btn.type = "button";
+		btn.setAttribute("title", title + combo);
+		btn.setAttribute("aria-label", title);
+		btn.setAttribute("data-cms-tool", name);
+		btn.classList.add("cms-" + name);
+		btn.classList.add("cms-btn");
+		btn.addEventListener("mousedown", handler);
+
+		// The mouse presses buttons on mousedown, so that the section keeps the focus and the selection.
+		// Clicks without a mouse come from the keyboard, eg. enter and space, or from assistive technology.
+		btn.addEventListener("click", (e) => {
+			if(e.detail === 0)
+				this._pressWithKeyboard(e, handler);
+		});
+
+		if(icon)
+			btn.style.setProperty("background-image", `url("${icon}")`);
+
+		return btn;
+	}
+
+	/**
+	 * Press a button with the keyboard. Tools of the local toolbar act on the section being edited,
+	 * so the focus and the selection are moved back to the section first, to where they were when the toolbar got the focus.
+	 * @param {Event} e - The click event.
+	 * @param {function} handler - The handler of the button.
+	 * @private
+	 */
+	_pressWithKeyboard (e, handler){
+		const el = document.querySelector(".cms-editable[contenteditable=true]");
+		const localToolbar = document.querySelector(".local-toolbar");
+
+		if(el && localToolbar && localToolbar.contains(e.currentTarget)){
+			el.focus();
+			applySelection(this.toolbarSelection);
+		}
+
+		handler(e);
+	}
+
+	/**
+	 * Move the focus to the next toolbar: the local toolbar of the section being edited, the toolbar of the repeatable item and the main toolbar.
+	 * @private
+	 */
+	_focusToolbar (){
+		const toolbars = [".local-toolbar", ".cms-item-toolbar.show", ".cms-toolbar"]
+			.map(selector => document.querySelector(selector))
+			.filter(toolbar => !!toolbar);
+		const current = toolbars.findIndex(toolbar => toolbar.contains(document.activeElement));
+
+		for(let i = 1; i <= toolbars.length; i++)
+			if(focusToolbar(toolbars[(current + i) % toolbars.length])) return;
+	}
+
+	/**
+	 * Keep the main toolbar reachable with the tab key after its buttons were disabled or enabled.
+	 * @private
+	 */
+	_updateTabStop (){
+		const toolbar = document.querySelector(".cms-toolbar");
+
+		if(toolbar)
+			updateToolbar(toolbar);
+	}
+
+	/**
+	 * Create the element displaying whether there are unsaved and unpublished changes.
+	 * @returns {HTMLDivElement}
+	 * @private
+	 */
+	_createStatus (){
+		const status = document.createElement("div");
+		const saveStatus = document.createElement("span");
+		const publishStatus = document.createElement("span");
+
+		status.classList.add("cms-status");
+		saveStatus.classList.add("save-status");
+		publishStatus.classList.add("publish-status");
+
+		status.appendChild(saveStatus);
+		status.appendChild(publishStatus);
+
+		return status;
+	}
+
+	/**
+	 * Create a dropdown menu.
+	 * @param {object} options - Options used to create the dropdown.
+	 * @param {String} options.name - The name of the dropdown, should correspond to a name in the locale file.
+	 * @param {function} options.handler - A function that will be called when the dropdown value changes.
+	 * @param {object[]} options.options - An array of options to choose from in the dropdown.
+	 * @param {string} options.options.name - The name of the option, this is the value that is displayed when choosing an option.
+	 * @param {string} options.options.value - The value of the option.
+	 * @param {string} [options.value] - The value of the option that is selected.
+	 * @returns {HTMLDivElement}
+	 * @private
+	 */
+	_createDropdown ({ name, handler, options, value = getCookie("lang") }){
+		const title = this.locale.tooltips[name];
+		const con = document.createElement("div");
+		const icon = document.createElement("label");
+		const dropdown = document.createElement("select");
+		const currentLang = value;
+
+		con.classList.add("change-lang-con");
+		con.setAttribute("title", title);
+		icon.classList.add("cms-langs");
+		icon.classList.add("cms-btn");
+		icon.setAttribute("for", "cms-lang");
+		dropdown.setAttribute("id", "cms-lang");
+		dropdown.setAttribute("aria-label", title);
+
+		options.forEach( option => {
+			const opt = document.createElement("option");
+
+			if(option.value === currentLang)
+				opt.setAttribute("selected", "");
+
+			opt.innerText = option.name;
+			opt.value = option.value;
+
+			dropdown.appendChild(opt);
+		});
+
+		con.appendChild(icon);
+		con.appendChild(dropdown);
+		dropdown.addEventListener("change", handler);
+
+		return con;
+	}
+
+	/**
+	 * Change the language that is being edited. Changes are saved before the page is reloaded in the new language,
+	 * and if they can't be saved, the language is not changed, so that they aren't lost.
+	 * @param {Event} e - An event object.
+	 * @private
+	 */
+	async _changeLanguage (e){
+		const target = e.target;
+		const value = target.value;
+		const saved = await this.save({ trigger: "language" }).catch(err => {
+			console.warn("CMS: the save failed.", err);
+			return false;
+		});
+
+		if(!saved){
+			target.value = this.contentLanguage;
+			this._notify("error", this.locale.notifications.languageNotChanged, "language");
+			return;
+		}
+
+		setCookie("lang", value);
+		window.location.reload();
+	}
+
+	/**
+	 * Find the content language of the page. The "lang" cookie takes priority, followed by the lang attribute of the html element.
+	 * @returns {string|null} The code of the language, or null if no content languages are configured.
+	 * @private
+	 */
+	_findContentLanguage (){
+		const languages = this.contentLanguages.map(lang => lang.value);
+		const candidates = [getCookie("lang"), document.documentElement.lang];
+
+		if(languages.length === 0) return null;
+
+		return candidates.find(lang => languages.indexOf(lang) !== -1) || languages[0];
+	}
+
+	/**
+	 * Set whether the content of a language has untranslated or unpublished changes. It is displayed in the language dropdown.
+	 * The status of the language being edited is kept up to date automatically, the status of other languages is known to the server.
+	 * @param {string} value - The code of the language.
+	 * @param {object} status - The status of the language.
+	 * @param {boolean} [status.untranslated] - Whether the page has content that has not been translated to the language.
+	 * @param {boolean} [status.unpublished] - Whether the page has changes in the language that have not been published.
+	 */
+	setLanguageStatus (value, status){
+		const current = this.languageStatus[value] || {};
+
+		this.languageStatus[value] = Object.assign({}, current, status);
+		setStoredValue(`cms-languages:${window.location.pathname}`, this.languageStatus);
+		this._renderLanguageStatus();
+	}
+
+	/**
+	 * Store the status of the language being edited, if it has changed.
+	 * @param {object} status - The status of the language.
+	 * @private
+	 */
+	_storeLanguageStatus (status){
+		const current = this.languageStatus[this.contentLanguage] || {};
+		const changed = Object.keys(status).some(key => current[key] !== status[key]);
+
+		if(changed)
+			this.setLanguageStatus(this.contentLanguage, status);
+	}
+
+	/**
+	 * Display the status of every content language in the language dropdown.
+	 * @private
+	 */
+	_renderLanguageStatus (){
+		const container = document.querySelector(".cms-toolbar .change-lang-con");
+		const hints = this.locale.hints;
+		let hasChanges = false;
+
+		if(!container) return;
+
+		for(let option of container.querySelectorAll("option")){
+			const language = this.contentLanguages.find(lang => lang.value === option.value);
+			const status = this.languageStatus[option.value] || {};
+			const labels = [];
+
+			if(status.untranslated)
+				labels.push(hints.untranslated);
+
+			if(status.unpublished)
+				labels.push(hints.unpublished);
+
+			if(labels.length && option.value !== this.contentLanguage)
+				hasChanges = true;
+
+			option.textContent = labels.length ? `${language.name} (${labels.join(", ").toLowerCase()})` : language.name;
+		}
+
+		container.classList.toggle("changed", hasChanges);
+	}
+
+	/**
+	 * Make the selected text bold, or normal if it is all bold.
+	 * @param {Event} [e] - An event object from clicking the bold button.
+	 * @private
+	 */
+	_makeBold (e){
+		this._toggleFormat(formats.bold, e);
+	}
+
+	/**
+	 * Make the selected text italic, or normal if it is all italic.
+	 * @param {Event} [e] - An event object from clicking the italic button.
+	 * @private
+	 */
+	_makeItalic (e){
+		this._toggleFormat(formats.italic, e);
+	}
+
+	/**
+	 * Make the selected text underlined, or normal if it is all underlined.
+	 * @param {Event} [e] - An event object from clicking the underline button.
+	 * @private
+	 */
+	_makeUnderline (e){
+		this._toggleFormat(formats.underline, e);
+	}
+
+	/**
+	 * Make the selected text have a line through it, or normal if it all has a line through it.
+	 * @param {Event} [e] - An event object from clicking the line through button.
+	 * @private
+	 */
+	_makeLinethrough (e){
+		this._toggleFormat(formats.linethrough, e);
+	}
+
+	/**
+	 * Make the selected text superscript, or normal if it is all superscript.
+	 * @param {Event} [e] - An event object from clicking the superscript button.
+	 * @private
+	 */
+	_makeSuperscript (e){
+		this._toggleFormat(formats.superscript, e);
+	}
+
+	/**
+	 * Make the selected text subscript, or normal if it is all subscript.
+	 * @param {Event} [e] - An event object from clicking the subscript button.
+	 * @private
+	 */
+	_makeSubscript (e){
+		this._toggleFormat(formats.subscript, e);
+	}
+
+	/**
+	 * Toggle an inline format of the selected text in the section being edited.
+	 * Without a selection the format of the word at the caret is toggled.
+	 * @param {object} format - One of the formats from lib/format.
+	 * @param {Event} [e] - An event object from clicking a toolbar button.
+	 * @private
+	 */
+	_toggleFormat (format, e){
+		this._editSelection((range, el) => toggleFormat(range, format, el), e);
+	}
+
+	/**
+	 * Remove the inline formats, except links, of the selected text or the word at the caret.
+	 * @param {Event} [e] - An event object from clicking the clear formatting button.
+	 * @private
+	 */
+	_clearFormats (e){
+		this._editSelection((range, el) => clearFormats(range, el), e);
+	}
+
+	/**
+	 * Remove links from the selected text, or the whole link at the caret.
+	 * @param {Event} [e] - An event object from clicking the unlink button.
+	 * @private
+	 */
+	_unlink (e){
+		this._editSelection((range, el) => removeLink(range, el), e);
+	}
+
+	/**
+	 * Change the selected paragraphs and headings into another block type.
+	 * @param {string} tag - The new block type, eg. "h2".
+	 * @private
+	 */
+	_setBlockType (tag){
+		const el = document.querySelector(".cms-editable[contenteditable=true]");
+
+		if(!this._isTagAllowed(tag)) return;
+
+		// A paragraph or heading changes its own tag.
+		if(el && blockTypes.indexOf(el.localName) !== -1 && this._canChangeTag(el))
+			return this._changeSectionTag(findSection(el, this.sections), tag);
+
+		this._editSelection((range, el) => setBlockType(range, tag, el));
+	}
+
+	/**
+	 * Make the selected blocks a list, or paragraphs if they already are items of that type of list.
+	 * @param {string} listTag - The type of list, "ul" or "ol".
+	 * @param {Event} [e] - An event object from clicking a list button.
+	 * @private
+	 */
+	_toggleList (listTag, e){
+		const el = document.querySelector(".cms-editable[contenteditable=true]");
+		const tag = el ? this._getListSectionTag(el, listTag) : null;
+
+		if(e) e.preventDefault();
+
+		if(tag)
+			return this._changeSectionTag(findSection(el, this.sections), tag);
+
+		this._editSelection((range, el) => toggleList(range, listTag, el), e);
+	}
+
+	/**
+	 * Find the tag a section gets when a list tool is used in it, if the tool changes the section itself rather than its content.
+	 * Paragraphs and headings become lists, lists change their type, and a list with a single item becomes a paragraph when it is toggled off.
+	 * @param {HTMLElement} el - The section being edited.
+	 * @param {string} listTag - The type of list of the tool, "ul" or "ol".
+	 * @returns {string|null} The new tag, or null if the tool changes the content of the section.
+	 * @private
+	 */
+	_getListSectionTag (el, listTag){
+		const range = this._getSelectionIn(el);
+		const node = range ? range.startContainer : el;
+		const item = (node.nodeType === Node.ELEMENT_NODE ? node : node.parentNode).closest("li");
+		const isTopLevel = !item || !el.contains(item) || item.parentNode === el;
+
+		if(!this._canChangeTag(el) || !this._isTagAllowed(listTag) || !this._isTagAllowed("li")) return null;
+
+		if(blockTypes.indexOf(el.localName) !== -1)
+			return listTag;
+
+		// Lists in the items of the section are changed like in any other section.
+		if(!isTopLevel) return null;
+
+		if(el.localName !== listTag)
+			return listTag;
+
+		return el.children.length === 1 && !el.querySelector("ul, ol") && this._isTagAllowed("p") ? "p" : null;
+	}
+
+	/**
+	 * Check whether a section can change its own tag. Only paragraphs, headings and lists can, and only if they have an id,
+	 * since the selector path of a section changes with its tag.
+	 * @param {HTMLElement} el - The section.
+	 * @returns {boolean}
+	 * @private
+	 */
+	_canChangeTag (el){
+		return el.hasAttribute(this.idAttribute) && blockTypes.concat("ul", "ol").indexOf(el.localName) !== -1;
+	}
+
+	/**
+	 * Change the tag of a section, eg. make a paragraph a heading or a list. The change is recorded in the history.
+	 * @param {object} section - The section.
+	 * @param {string} tag - The new tag.
+	 * @param {string} [html] - New content for the section, eg. its published content. By default, the content is kept.
+	 * @private
+	 */
+	_changeSectionTag (section, tag, html = null){
+		const before = { tag: section.edited_tag, html: section.edited_text };
+
+		if(!this._isTagAllowed(tag)) return;
+
+		this._replaceSectionElement(section, tag, html);
+		section.edited_tag = tag;
+
+		// A new target, so that the change is never merged with edits of the content.
+		this.history.push({ target: { section }, before, after: { tag, html: section.element.innerHTML } }, false);
+		this._setEdits(section.element, { record: false });
+		this._setHistoryStatus();
+	}
+
+	/**
+	 * Replace the element of a section with an element of another tag, without recording the change.
+	 * Its listeners, and the item it may be, follow it to the new element. If it is being edited, it keeps being edited.
+	 * @param {object} section - The section.
+	 * @param {string} tag - The tag of the new element.
+	 * @param {string} [html] - The content of the new element. By default, the content is kept, along with the selection in it.
+	 * @private
+	 */
+	_replaceSectionElement (section, tag, html = null){
+		const previous = section.element;
+		const editing = previous.getAttribute("contenteditable") === "true";
+		const range = editing && html === null ? this._getSelectionIn(previous) : null;
+
+		if(previous.localName === tag){
+			if(html !== null && previous.innerHTML !== html)
+				previous.innerHTML = html;
+
+			return;
+		}
+
+		const el = changeTag(previous, tag, range);
+
+		if(html !== null)
+			el.innerHTML = html;
+
+		for(let listener of this.listeners){
+			if(listener.target !== previous) continue;
+
+			previous.removeEventListener(listener.type, listener.handler);
+			el.addEventListener(listener.type, listener.handler);
+			listener.target = el;
+		}
+
+		for(let container of this.containers)
+			for(let item of container.items)
+				if(item.element === previous)
+					item.element = el;
+
+		section.element = el;
+
+		if(!editing) return;
+
+		this._removeLocalToolbar();
+		el.focus();
+
+		if(range)
+			applySelection(range);
+
+		this._addLocalToolbar(el);
+	}
+
+	/**
+	 * Move the selected list items into a list in the item before them.
+	 * @param {Event} [e] - An event object from clicking the indent button.
+	 * @private
+	 */
+	_indent (e){
+		this._editSelection((range, el) => indent(range, el), e);
+	}
+
+	/**
+	 * Move the selected list items out of their list.
+	 * @param {Event} [e] - An event object from clicking the outdent button.
+	 * @private
+	 */
+	_outdent (e){
+		this._editSelection((range, el) => outdent(range, el), e);
+	}
+
+	/**
+	 * Change the selection in the section being edited, and save the change as an edit.
+	 * @param {function} change - Called with the selected range and the section. It changes the range to select the changed content.
+	 * @param {Event} [e] - An event object from clicking a toolbar button.
+	 * @private
+	 */
+	_editSelection (change, e){
+		const el = document.querySelector(".cms-editable[contenteditable=true]");
+		const range = el ? this._getSelectionIn(el) : null;
+
+		// Keep the focus and the selection in the section.
+		if(e) e.preventDefault();
+
+		if(!range) return;
+
+		const html = el.innerHTML;
+
+		change(range, el);
+		applySelection(range);
+
+		if(el.innerHTML !== html)
+			this._setEdits(el, { merge: false });
+	}
+
+	/**
+	 * Check whether edited content may contain a tag. It has to be editable, or allowed inside editable tags,
+	 * and allowed by the sanitizer.
+	 * @param {string} tag - The tag name.
+	 * @returns {boolean}
+	 * @private
+	 */
+	_isTagAllowed (tag){
+		const isEditable = this.tags.indexOf(tag) !== -1 || this.childTags.indexOf(tag) !== -1;
+
+		return isEditable && (!this.sanitizeOptions || this.sanitizeOptions.tags.indexOf(tag) !== -1);
+	}
+
+	/**
+	 * Link the selected text, or edit the link at the selection, in the link dialog.
+	 * Without a selection the text of the new link is inserted at the caret.
+	 * @param {Event} e - An event object from clicking the insert or edit link button.
+	 * @private
+	 */
+	async _insertLink (e){
+		e.preventDefault();
+		e.stopImmediatePropagation();
+		const el = document.querySelector(".cms-editable[contenteditable=true]");
+		const savedSelection = saveSelection();
+
+		if(!el || !savedSelection || !el.contains(savedSelection.commonAncestorContainer)) return;
+
+		const link = this._getActiveLink();
+		const schemes = this.sanitizeOptions ? this.sanitizeOptions.schemes : defaultSchemes;
+		const values = await openLinkDialog({
+			locale: this.locale.linkDialog,
+			labels: this.locale.dialog,
+			values: getLinkValues(link, savedSelection.toString()),
+			validate: (value) => normalizeUrl(value, schemes),
+			search: this.sitemapUrl ? (query) => this._searchPages(query) : null
+		});
+		applySelection(savedSelection);
+
+		if(!values || !el.isConnected) return;
+
+		if(link && values.text && values.text !== link.textContent)
+			link.textContent = values.text;
+
+		if(link)
+			setLinkAttributes(link, values);
+		else
+			this._createLink(savedSelection, values, el);
+
+		applySelection(savedSelection);
+		this._setEdits(el, { merge: false });
+		this._updateToolStatus();
+	}
+
+	/**
+	 * Link the text of a range. The text is replaced if the link text was changed in the link dialog.
+	 * @param {Range} range - The selected range. It is updated to select the linked text.
+	 * @param {object} values - The values from the link dialog.
+	 * @param {HTMLElement} el - The section being edited.
+	 * @private
+	 */
+	_createLink (range, values, el){
+		const text = values.text || range.toString() || values.href;
+
+		if(text !== range.toString()){
+			const node = document.createTextNode(text);
+
+			range.deleteContents();
+			range.insertNode(node);
+			range.selectNode(node);
+		}
+
+		createLink(range, values.href, el);
+
+		// A selection across blocks is linked by one link in each block.
+		const links = [...el.querySelectorAll("a")].filter(link => range.intersectsNode(link));
+
+		links.forEach(link => setLinkAttributes(link, values));
+	}
+
+	/**
+	 * Find pages of the site to suggest in the link dialog. The sitemap is fetched the first time it is needed.
+	 * @param {string} query - What has been typed.
+	 * @returns {Promise<object[]>} The pages, { url, title }.
+	 * @private
+	 */
+	async _searchPages (query){
+		if(!this.pages)
+			this.pages = this._request(this.sitemapUrl, { method: "GET" }).then(response => response.ok ? parsePages(response.text) : null);
+
+		const pages = await this.pages;
+
+		// Fetch the sitemap again next time, if it failed.
+		if(!pages)
+			this.pages = null;
+
+		return pages ? searchPages(pages, query) : [];
+	}
+
+	/**
+	 * Ask for a value in a dialog.
+	 * @param {string} titleText - The question, displayed as the title of the dialog.
+	 * @param {string} type - "image" to ask for an image, or "text".
+	 * @param {string} [defaultValue] - The value the text field is filled with when the dialog opens.
+	 * @returns {Promise<string|File|boolean>} The text or the image file, or false if the dialog was cancelled.
+	 * @private
+	 */
+	async _promptUser (titleText, type, defaultValue = ""){
+		const isFile = type === "image";
+		const field = isFile
+			? { name: "value", type: "file", accept: "image/*", hint: this.locale.prompt.drop }
+			: { name: "value", value: defaultValue };
+		const values = await openDialog({
+			title: titleText,
+			className: "cms-prompt",
+			labels: Object.assign({ submit: this.locale.prompt.submit }, this.locale.dialog),
+			fields: [field],
+			validate: ({ value }) => isFile && !value ? { value: this.locale.prompt.image } : null
+		});
+
+		return values ? values.value : false;
+	}
+
+	/**
+	 * Insert an image at the selection, or replace the selected image.
+	 * @param {Event} e - An event object from clicking the insert image button.
+	 * @private
+	 */
+	async _insertImage (e){
+		e.preventDefault();
+		e.stopImmediatePropagation();
+		const titleText = this.locale.prompt.image;
+		const type = "image";
+		const selectedImage = this.selectedImage;
+
+		const savedSelection = selectedImage ? null : saveSelection();
+		if(!selectedImage && !savedSelection) return;
+
+		const file = await this._promptUser(titleText, type);
+		applySelection(savedSelection);
+
+		if(!file) return;
+
+		const src = await this._uploadImage(file);
+		if(!src) return;
+
+		if(!selectedImage)
+			return this._placeImage(src, savedSelection);
+
+		selectedImage.src = src;
+		this._setImageEdits(selectedImage);
+	}
+
+	/**
+	 * Upload an image to the upload url while displaying the progress.
+	 * @param {File} file - The image file to upload.
+	 * @returns {Promise<string|null>} The url of the uploaded image, or null if the upload failed.
+	 * @private
+	 */
+	async _uploadImage (file){
+		const progress = renderProgress(this.locale.prompt.uploading);
+		const data = new FormData();
+
+		data.append("image", file);
+
+		const response = await this._request(this.uploadUrl, { body: data, onProgress: progress.update });
+		const src = response.ok ? getUploadedUrl(response.text) : null;
+
+		progress.remove();
+
+		if(!src)
+			this._error("upload", response, null);
+
+		return src || null;
+	}
+
+	/**
+	 * Create an image element and insert it at a range.
+	 * @param {string} src - The url of the image.
+	 * @param {Range} range - The range where the image should be inserted.
+	 * @private
+	 */
+	_placeImage (src, range){
+		const img = document.createElement("img");
+		const container = range.startContainer;
+		const start = container.nodeType === Node.TEXT_NODE ? container.parentNode : container;
+		const section = this._findSectionElement(start);
+
+		// Never insert images outside of an editable section.
+		if(!section || !section.classList.contains("cms-editable")) return;
+
+		// The image has no alt attribute until the user gives it one, so that the accessibility check finds it.
+		img.src = src;
+
+		range.deleteContents();
+		range.insertNode(img);
+		range.setStartAfter(img);
+		range.collapse(true);
+
+		this._setImageEdits(img);
+	}
+
+	/**
+	 * Save the edits of the section containing an image.
+	 * @param {HTMLImageElement} img - The image that was changed.
+	 * @private
+	 */
+	_setImageEdits (img){
+		const section = this._findSectionElement(img);
+
+		if(section)
+			this._setEdits(section);
+	}
+
+	/**
+	 * Allow image files to be dropped on an editable section.
+	 * @param {DragEvent} e - The dragover event.
+	 * @private
+	 */
+	_dragImage (e){
+		const types = e.dataTransfer ? [...e.dataTransfer.types] : [];
 
-		if(
-			target === localToolbar ||
-			target.classList.contains("cms-btn") ||
-			target === el ||
-			document.querySelector(".cms-prompt-container.show")
-		) return false;
+		if(types.indexOf("Files") !== -1 && this.mode === "edit")
+			e.preventDefault();
+	}
+
+	/**
+	 * Upload and insert an image that was dropped on an editable section.
+	 * @param {DragEvent} e - The drop event.
+	 * @private
+	 */
+	async _dropImage (e){
+		const file = getImageFile(e.dataTransfer);
 
-		// Remove the localToolbar, but only if one exists.
-		if(document.querySelector(".local-toolbar"))
-			document.body.removeChild(localToolbar);
+		if(!file || this.mode !== "edit" || !this._isTagAllowed("img")) return;
+		e.preventDefault();
 
-		// Remove editable attribute and highlighting.
-		if(el){
-			el.removeAttribute("contenteditable");
-			el.classList.remove("outline");
-		}
+		const range = getRangeFromPoint(e.clientX, e.clientY);
+		if(!range) return;
 
-		// Set save edited content.
-		if(el)
-			// const path = getSelectorPath(el);
-			this._setEdits(el);
+		const src = await this._uploadImage(file);
+
+		if(src)
+			this._placeImage(src, range);
 	}
 
 	/**
-	 * Create a button.
-	 * @param {object} options - Options to pass to create the button.
-	 * @param {string} options.name - The name of the button, should correspond to a name in the locale file.
-	 * @param {function} options.handler - The functions that fires when the button is pressed.
-	 * @returns {HTMLElement}
+	 * Select an image inside an editable section, making it possible to resize it and edit its alt text.
+	 * @param {HTMLImageElement} img - The image to select.
 	 * @private
 	 */
-	_createBtn ({ name, handler }){
-		const title = this.locale.tooltips[name];
-		const shortcut = this.locale.shortcuts[name];
-		const combo = shortcut ? ` (${shortcut.combo.join("+")})` : "";
+	_selectImage (img){
+		if(this.selectedImage === img) return;
 
-		const btn = document.createElement("button");
-		btn.setAttribute("title", title + combo);
-		btn.classList.add("cms-" + name);
-		btn.classList.add("cms-btn");
-		btn.addEventListener("mousedown", handler);
+		this._deselectImage();
+		this.selectedImage = img;
 
-		return btn;
+		this._addResizeHandle(img);
+		this._updateToolStatus();
 	}
 
 	/**
-	 * Create a dropdown menu.
-	 * @param {object} options - Options used to create the dropdown.
-	 * @param {String} options.name - The name of the dropdown, should correspond to a name in the locale file.
-	 * @param {function} options.handler - A function that will be called when the dropdown value changes.
-	 * @param {object[]} options.options - An array of options to choose from in the dropdown.
-	 * @param {string} options.options.name - The name of the option, this is the value that is displayed when choosing an option.
-	 * @param {string} options.options.value - The value of the option.
-	 * @returns {HTMLDivElement}
+	 * Remove the outline and resize handle from the selected image.
 	 * @private
 	 */
-	_createDropdown ({ name, handler, options }){
-		const title = this.locale.tooltips[name];
-		const con = document.createElement("div");
-		const icon = document.createElement("label");
-		const dropdown = document.createElement("select");
-		const currentLang = getCookie("lang");
+	_deselectImage (){
+		document.querySelectorAll(".cms-resize-handle, .cms-image-outline").forEach(el => el.remove());
 
-		con.classList.add("change-lang-con");
-		con.setAttribute("title", title);
-		icon.classList.add("cms-langs");
-		icon.classList.add("cms-btn");
-		icon.setAttribute("for", "cms-lang");
-		dropdown.setAttribute("id", "cms-lang");
+		this.selectedImage = null;
+		this._updateToolStatus();
+	}
 
-		options.forEach( option => {
-			const opt = document.createElement("option");
+	/**
+	 * Outline an image, and add a handle to its bottom right corner that resizes the image when dragged.
+	 * Both are placed over the image rather than in it, so that they never end up in the edited content.
+	 * @param {HTMLImageElement} img - The image to resize.
+	 * @private
+	 */
+	_addResizeHandle (img){
+		const handle = document.createElement("div");
+		const outline = document.createElement("div");
+		const ratio = img.naturalHeight / img.naturalWidth || img.height / img.width;
 
-			if(option.value === currentLang)
-				opt.setAttribute("selected", "");
+		handle.classList.add("cms-resize-handle");
+		outline.classList.add("cms-image-outline");
+		document.body.appendChild(outline);
+		document.body.appendChild(handle);
 
-			opt.innerText = option.name;
-			opt.value = option.value;
+		function setPosition (){
+			const rect = img.getBoundingClientRect();
+
+			handle.style.setProperty("top", rect.bottom + window.pageYOffset + "px");
+			handle.style.setProperty("left", rect.right + window.pageXOffset + "px");
+			outline.style.setProperty("top", rect.top + window.pageYOffset + "px");
+			outline.style.setProperty("left", rect.left + window.pageXOffset + "px");
+			outline.style.setProperty("width", rect.width + "px");
+			outline.style.setProperty("height", rect.height + "px");
+		}
+		setPosition();
 
-			dropdown.appendChild(opt);
+		const resize = (e) => {
+			const left = img.getBoundingClientRect().left;
+			const width = Math.max(20, Math.round(e.clientX - left));
+
+			img.setAttribute("width", width);
+
+			if(ratio)
+				img.setAttribute("height", Math.round(width * ratio));
+
+			setPosition();
+		};
+
+		const stopResize = () => {
+			this._unlisten(window, "mousemove", resize);
+			this._unlisten(window, "mouseup", stopResize);
+			this._setImageEdits(img);
+		};
+
+		handle.addEventListener("mousedown", (e) => {
+			e.preventDefault();
+			this._listen(window, "mousemove", resize);
+			this._listen(window, "mouseup", stopResize);
 		});
+	}
 
-		con.appendChild(icon);
-		con.appendChild(dropdown);
-		dropdown.addEventListener("change", handler);
+	/**
+	 * Edit the alt text of the selected image.
+	 * @param {Event} e - An event object from clicking the alt text button.
+	 * @private
+	 */
+	async _editAlt (e){
+		e.preventDefault();
+		e.stopImmediatePropagation();
+		const img = this.selectedImage;
+		const titleText = this.locale.prompt.alt;
+		const type = "text";
 
-		return con;
+		if(!img) return;
+
+		const alt = await this._promptUser(titleText, type, img.alt);
+
+		if(alt === false) return;
+
+		img.alt = alt;
+		this._setImageEdits(img);
 	}
 
 	/**
-	 * Change the language that is being edited.
-	 * @param {Event} e - An event object.
+	 * Find the repeatable containers on the page, and keep track of their items.
 	 * @private
 	 */
-	_changeLanguage (e){
-		const target = e.target;
-		const value = target.value;
+	_findContainers (){
+		const elements = document.querySelectorAll(`[${this.repeatAttribute}]`);
+
+		for(const el of elements){
+			const items = getItemElements(el).map((element, i) => ({
+				id: element.getAttribute(this.idAttribute) || String(i),
+				source: null,
+				element
+			}));
+			const ids = items.map(item => item.id);
+
+			this.containers.push({
+				element: el,
+				id: el.getAttribute(this.repeatAttribute) || el.getAttribute(this.idAttribute) || null,
+				path: getSelectorPath(el),
+				page: window.location.pathname,
+				lang: this.contentLanguage,
+				items,
+				original_items: ids,
+				saved_items: ids
+			});
 
-		setCookie("lang", value);
-		window.location.reload();
+			// Items without editable elements become sections themselves.
+			for(let item of items)
+				for(let section of this._findItemSections(item.element))
+					if(!findSection(section, this.sections) && (section.hasAttribute(this.idAttribute) || !this.strictIds))
+						this._addSection(section);
+
+			this._listen(el, "mouseover", (e) => this._showItemToolbar(e.target));
+			this._listen(el, "focusin", (e) => this._showItemToolbar(e.target));
+			this._listen(el, "mouseleave", (e) => this._hideItemToolbar(e));
+			this._listen(el, "dragover", (e) => this._dragItem(e));
+			this._listen(el, "drop", (e) => this._dropItem(e));
+		}
+
+		if(this.containers.length)
+			this._renderItemToolbar();
 	}
 
 	/**
-	 * Make the selected text bold.
+	 * Render the toolbar that adds, duplicates, moves and deletes the item under the pointer.
 	 * @private
 	 */
-	_makeBold (){
-		document.execCommand("bold");
+	_renderItemToolbar (){
+		const toolbar = document.createElement("div");
+		const buttons = [
+			// The handle is dragged, pressing it does nothing.
+			{ name: "moveItem", handler: () => null },
+			{ name: "addItem", handler: (e) => this._addItem(e, false) },
+			{ name: "duplicateItem", handler: (e) => this._addItem(e, true) },
+			{ name: "deleteItem", handler: (e) => this._deleteItem(e) }
+		];
+
+		toolbar.classList.add("cms-item-toolbar");
+
+		for(let button of buttons)
+			toolbar.appendChild(this._createBtn(button));
+
+		const handle = toolbar.querySelector(".cms-moveItem");
+		handle.setAttribute("draggable", "true");
+		handle.setAttribute("aria-keyshortcuts", "ArrowUp ArrowDown");
+		handle.addEventListener("dragstart", (e) => this._startItemDrag(e));
+		handle.addEventListener("dragend", () => this._endItemDrag());
+		handle.addEventListener("keydown", (e) => this._moveItemWithKeyboard(e));
+
+		toolbar.addEventListener("mouseleave", (e) => this._hideItemToolbar(e));
+		document.body.appendChild(toolbar);
+		initToolbar(toolbar, this.locale.a11y.itemToolbar);
 	}
 
 	/**
-	 * Make the selected text italic.
+	 * Find the repeatable item a node is in. Items of nested containers take precedence over the items they are in.
+	 * @param {Node} node - The node.
+	 * @returns {object|null} { container, item }
 	 * @private
 	 */
-	_makeItalic (){
-		document.execCommand("italic");
+	_findItem (node){
+		const el = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+
+		for(let current = el; current; current = current.parentElement){
+			const container = this.containers.find(container => container.element === current.parentElement);
+			const item = container ? container.items.find(item => item.element === current) : null;
+
+			if(item) return{ container, item };
+		}
+
+		return null;
 	}
 
 	/**
-	 * Make the selected text underlined.
+	 * Display the item toolbar on the item a node is in.
+	 * @param {Node} node - A node in the item.
 	 * @private
 	 */
-	_makeUnderline (){
-		document.execCommand("underline");
+	_showItemToolbar (node){
+		const found = this._findItem(node);
+
+		if(!found || this.draggedItem || this.mode !== "edit") return;
+
+		this.activeItem = found;
+		this._positionItemToolbar();
 	}
 
 	/**
-	 * Make the selected text have a line through it.
+	 * Hide the item toolbar when the pointer leaves both the container and the toolbar.
+	 * @param {MouseEvent} e - The mouseleave event.
 	 * @private
 	 */
-	_makeLinethrough (){
-		document.execCommand("strikeThrough");
+	_hideItemToolbar (e){
+		const toolbar = document.querySelector(".cms-item-toolbar");
+		const related = e.relatedTarget;
+		const active = this.activeItem;
+
+		if(this.draggedItem || !toolbar || (related && (toolbar.contains(related) || (active && active.container.element.contains(related))))) return;
+
+		this.activeItem = null;
+		this._positionItemToolbar();
 	}
 
 	/**
-	 * Remove anchor tag from selected text.
+	 * Place the item toolbar in the top right corner of the active item, or hide it if there is none.
 	 * @private
 	 */
-	_unlink (){
-		document.execCommand("unlink");
+	_positionItemToolbar (){
+		const toolbar = document.querySelector(".cms-item-toolbar");
+		const active = this.activeItem;
+
+		if(!toolbar) return;
+
+		toolbar.classList.toggle("show", !!active);
+
+		if(!active) return;
+
+		const rect = active.item.element.getBoundingClientRect();
+		const canDelete = active.container.items.length > 1 || !!getItemTemplate(active.container.element);
+
+		toolbar.style.setProperty("top", rect.top + window.pageYOffset + "px");
+		toolbar.style.setProperty("left", rect.right + window.pageXOffset + "px");
+		toolbar.querySelector(".cms-deleteItem").disabled = !canDelete;
+		updateToolbar(toolbar);
 	}
 
 	/**
-	 * Make the selected text into a link.
-	 * @param {Event} e - An event object from clicking the insert link button.
+	 * Add an item after the active item. It is a copy of the template of the container, or of the active item with its content removed.
+	 * @param {Event} e - An event object from pressing the add or duplicate button.
+	 * @param {boolean} duplicate - Copy the active item with its content.
 	 * @private
 	 */
-	async _insertLink (e){
+	_addItem (e, duplicate){
 		e.preventDefault();
-		e.stopImmediatePropagation();
-		const titleText = this.locale.prompt.link;
-		const cmdText = "createLink";
-		const type = "link";
+		const active = this.activeItem;
+
+		if(!active) return;
+
+		const{ container, item } = active;
+		const template = duplicate ? null : getItemTemplate(container.element);
+		const suffix = createItemId();
+		const element = cloneItem(template || item.element, this.idAttribute, suffix);
+		const newItem = {
+			id: null,
+			source: duplicate ? item.id : null,
+			element
+		};
 
-		const savedSelection = saveSelection();
-		if(!savedSelection) return;
+		this._changeItems(container, () => {
+			container.element.insertBefore(element, item.element.nextSibling);
+			container.items.splice(container.items.indexOf(item) + 1, 0, newItem);
 
-		const link = await promptUser(titleText, type);
-		applySelection(savedSelection);
+			// The sections of the new item have not been saved, so their saved content is empty.
+			this._findItemSections(element).forEach((el, i) => {
+				if(!el.hasAttribute(this.idAttribute))
+					el.setAttribute(this.idAttribute, `${suffix}-${i}`);
 
-		if(link)
-			document.execCommand(cmdText, false, link);
+				if(!duplicate && !template)
+					el.innerHTML = "";
+
+				this._addSection(el, "");
+			});
+
+			// Items are identified by their id attribute when the page is loaded, so an item that is a section itself
+			// has the id of its section.
+			newItem.id = element.getAttribute(this.idAttribute) || suffix;
+		});
+
+		this.activeItem = { container, item: newItem };
+		this._positionItemToolbar();
+	}
+
+	/**
+	 * Find the elements of a repeatable item that are, or should be, sections. An item without editable elements,
+	 * eg. a list item, is a section itself.
+	 * @param {HTMLElement} item - The item.
+	 * @returns {HTMLElement[]}
+	 * @private
+	 */
+	_findItemSections (item){
+		const tags = this.tags.join(", ");
+		const elements = [item, ...item.querySelectorAll(tags)]
+			.filter(el => el.matches(tags))
+			.map(el => this._findSectionElement(el))
+			.filter((el, i, elements) => el && elements.indexOf(el) === i);
+
+		if(elements.length === 0 && !item.querySelector(`[${this.repeatAttribute}]`))
+			elements.push(item);
+
+		return elements;
+	}
+
+	/**
+	 * Delete the active item, unless it is the last item and there is no template to create a new one from.
+	 * @param {Event} e - An event object from pressing the delete button.
+	 * @private
+	 */
+	_deleteItem (e){
+		e.preventDefault();
+		const active = this.activeItem;
+
+		if(!active) return;
+
+		const{ container, item } = active;
+
+		if(container.items.length <= 1 && !getItemTemplate(container.element)) return;
+
+		this._changeItems(container, () => {
+			const editing = document.querySelector(".cms-editable[contenteditable=true]");
+
+			if(editing && item.element.contains(editing))
+				this._stopEditing();
+
+			item.element.remove();
+			container.items.splice(container.items.indexOf(item), 1);
+			this.sections = this.sections.filter(section => !item.element.contains(section.element));
+		});
+
+		this.activeItem = null;
+		this._positionItemToolbar();
+	}
+
+	/**
+	 * Start dragging the active item by its handle.
+	 * @param {DragEvent} e - The dragstart event.
+	 * @private
+	 */
+	_startItemDrag (e){
+		const active = this.activeItem;
+
+		if(!active) return e.preventDefault();
+
+		this.draggedItem = active;
+		e.dataTransfer.effectAllowed = "move";
+		e.dataTransfer.setData("text/x-cms-item", active.item.id);
+		e.dataTransfer.setDragImage(active.item.element, 0, 0);
+	}
+
+	/**
+	 * Show where the dragged item would be dropped. Items can only be moved within their container.
+	 * @param {DragEvent} e - The dragover event.
+	 * @private
+	 */
+	_dragItem (e){
+		const target = this._getDropTarget(e);
+
+		this._clearDropTarget();
+
+		if(!target) return;
+
+		e.preventDefault();
+		e.dataTransfer.dropEffect = "move";
+
+		if(target.item !== this.draggedItem.item)
+			target.item.element.classList.add(target.after ? "cms-drop-after" : "cms-drop-before");
+	}
+
+	/**
+	 * Move the dragged item to where it was dropped.
+	 * @param {DragEvent} e - The drop event.
+	 * @private
+	 */
+	_dropItem (e){
+		const target = this._getDropTarget(e);
+
+		this._clearDropTarget();
+
+		if(!target) return;
+
+		e.preventDefault();
+
+		const{ container, item } = this.draggedItem;
+
+		if(target.item === item) return;
+
+		this._changeItems(container, () => {
+			container.element.insertBefore(item.element, target.after ? target.item.element.nextSibling : target.item.element);
+			container.items = getItemElements(container.element).map(element => container.items.find(item => item.element === element));
+		});
+	}
+
+	/**
+	 * Move the active item one step with the arrow keys, as an alternative to dragging its handle.
+	 * @param {KeyboardEvent} e - The keydown event on the handle.
+	 * @private
+	 */
+	_moveItemWithKeyboard (e){
+		const steps = { ArrowUp: -1, ArrowDown: 1 };
+		const active = this.activeItem;
+
+		if(!steps[e.key] || !active) return;
+
+		e.preventDefault();
+
+		const{ container, item } = active;
+		const index = container.items.indexOf(item);
+		const target = container.items[index + steps[e.key]];
+
+		if(!target) return;
+
+		this._changeItems(container, () => {
+			container.element.insertBefore(item.element, steps[e.key] > 0 ? target.element.nextSibling : target.element);
+			container.items = getItemElements(container.element).map(element => container.items.find(item => item.element === element));
+		});
+
+		this._positionItemToolbar();
+	}
+
+	/**
+	 * Stop dragging an item, whether it was dropped or not.
+	 * @private
+	 */
+	_endItemDrag (){
+		this.draggedItem = null;
+		this._clearDropTarget();
+		this._positionItemToolbar();
+	}
+
+	/**
+	 * Find the item the dragged item is over, and whether it would be dropped before or after it.
+	 * @param {DragEvent} e - A dragover or drop event.
+	 * @returns {object|null} { item, after }, or null if the dragged item can't be dropped there.
+	 * @private
+	 */
+	_getDropTarget (e){
+		const dragged = this.draggedItem;
+		const found = this._findItem(e.target);
+
+		if(!dragged || !found || found.container !== dragged.container) return null;
+
+		const rect = found.item.element.getBoundingClientRect();
+		const after = isHorizontal(getItemElements(found.container.element))
+			? e.clientX > rect.left + rect.width / 2
+			: e.clientY > rect.top + rect.height / 2;
+
+		return{ item: found.item, after };
+	}
+
+	/**
+	 * Remove the indicator of where a dragged item would be dropped.
+	 * @private
+	 */
+	_clearDropTarget (){
+		const elements = document.querySelectorAll(".cms-drop-before, .cms-drop-after");
+
+		for(let el of elements){
+			el.classList.remove("cms-drop-before", "cms-drop-after");
+
+			if(!el.classList.length)
+				el.removeAttribute("class");
+		}
+	}
+
+	/**
+	 * Get the items of a repeatable container and the sections in them, to record them in the history.
+	 * The node after the last item, eg. a template, is kept too, so that the items can be put back in the same place.
+	 * @param {object} container - The container.
+	 * @returns {object} { items, sections, next }
+	 * @private
+	 */
+	_getItemsState (container){
+		const last = container.items[container.items.length - 1];
+
+		return{
+			items: container.items.slice(),
+			sections: this.sections.filter(section => container.element.contains(section.element)),
+			next: last ? last.element.nextSibling : null
+		};
+	}
+
+	/**
+	 * Change the items of a repeatable container, and record the change in the history.
+	 * @param {object} container - The container.
+	 * @param {function} change - Changes the items, both on the page and in the container.
+	 * @private
+	 */
+	_changeItems (container, change){
+		const before = this._getItemsState(container);
+
+		change();
+
+		this.history.push({ target: container, before, after: this._getItemsState(container) }, false);
+		this._setHistoryStatus();
+		this._setItemsStatus();
+	}
+
+	/**
+	 * Replace the items of a repeatable container, eg. when a change to them is undone.
+	 * @param {object} container - The container.
+	 * @param {object} state - The items and the sections in them, as returned by _getItemsState.
+	 * @private
+	 */
+	_setItems (container, { items, sections, next }){
+		const el = container.element;
+		const editing = document.querySelector(".cms-editable[contenteditable=true]");
+
+		if(editing && el.contains(editing))
+			this._stopEditing();
+
+		this.sections = this.sections.filter(section => !el.contains(section.element)).concat(sections);
+		container.items.forEach(item => item.element.remove());
+
+		// The items go back before the node that followed them, rather than after the other children of the container.
+		const reference = next && next.parentNode === el ? next : null;
+
+		items.forEach(item => el.insertBefore(item.element, reference));
+		container.items = items.slice();
+
+		this.activeItem = null;
+		this._positionItemToolbar();
+		this._setItemsStatus();
+	}
+
+	/**
+	 * Update the save and publish status after the items of a container have changed.
+	 * @private
+	 */
+	_setItemsStatus (){
+		this._setSaveStatus();
+		this._setPublishStatus();
+		this._saveWhenIdle();
+	}
+
+	/**
+	 * Get the structure of a repeatable container to send to the server: its items in order, and the sections in each of them.
+	 * @param {object} container - The container.
+	 * @returns {object}
+	 * @private
+	 */
+	_getStructure (container){
+		const{ id, path, page, lang } = container;
+
+		return{
+			id,
+			path,
+			page,
+			lang,
+			items: container.items.map(item => ({
+				id: item.id,
+				new: container.saved_items.indexOf(item.id) === -1,
+				source: item.source,
+				sections: this._findItemSections(item.element)
+					.map(el => findSection(el, this.sections))
+					.filter(section => !!section)
+					.map(getSectionKey)
+			}))
+		};
 	}
 }
 
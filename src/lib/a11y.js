@@ -0,0 +1,134 @@
+const controls = "button, select, input, a[href]";
+const headings = "h1, h2, h3, h4, h5, h6";
+
+// Headings of the editor itself, eg. in dialogs, are not part of the page.
+const editorElements = ".cms-toolbar, .local-toolbar, .cms-dialog, .cms-notifications";
+
+/**
+ * Make an element a toolbar that is a single stop when tabbing through the page. The arrow keys move between its controls,
+ * and Home and End move to the first and last control. The control that was focused last is focused when tabbing back to the toolbar.
+ * @param {HTMLElement} toolbar - The toolbar. Its controls can change, call updateToolbar afterwards.
+ * @param {string} label - The name of the toolbar, read by screen readers.
+ */
+export function initToolbar (toolbar, label){
+	toolbar.setAttribute("role", "toolbar");
+	toolbar.setAttribute("aria-label", label);
+
+	toolbar.addEventListener("keydown", (e) => {
+		const items = getToolbarItems(toolbar);
+		const index = items.indexOf(e.target);
+		const steps = { ArrowLeft: -1, ArrowRight: 1 };
+		let next = null;
+
+		if(index === -1 || e.altKey || e.ctrlKey || e.metaKey || e.shiftKey) return;
+
+		if(steps[e.key])
+			next = items[(index + steps[e.key] + items.length) % items.length];
+
+		if(e.key === "Home")
+			next = items[0];
+
+		if(e.key === "End")
+			next = items[items.length - 1];
+
+		if(!next) return;
+
+		e.preventDefault();
+		next.focus();
+	});
+
+	toolbar.addEventListener("focusin", (e) => {
+		if(getToolbarItems(toolbar).indexOf(e.target) !== -1)
+			setTabStop(toolbar, e.target);
+	});
+
+	updateToolbar(toolbar);
+}
+
+/**
+ * Make sure the tab stop of a toolbar is on a control that can be used, eg. after controls were disabled or hidden.
+ * @param {HTMLElement} toolbar - The toolbar.
+ */
+export function updateToolbar (toolbar){
+	const items = getToolbarItems(toolbar);
+	const current = items.find(item => item.getAttribute("tabindex") === "0");
+
+	setTabStop(toolbar, current || items[0]);
+}
+
+/**
+ * Focus the tab stop of a toolbar.
+ * @param {HTMLElement} toolbar - The toolbar.
+ * @returns {boolean} Whether the toolbar has a control to focus.
+ */
+export function focusToolbar (toolbar){
+	updateToolbar(toolbar);
+
+	const item = toolbar.querySelector("[tabindex=\"0\"]");
+
+	if(item)
+		item.focus();
+
+	return!!item;
+}
+
+/**
+ * Get the controls of a toolbar that can be used, in order.
+ * @param {HTMLElement} toolbar - The toolbar.
+ * @returns {HTMLElement[]}
+ */
+export function getToolbarItems (toolbar){
+	return[...toolbar.querySelectorAll(controls)].filter(item => !item.disabled && item.getClientRects().length > 0);
+}
+
+function setTabStop (toolbar, stop){
+	for(let item of toolbar.querySelectorAll(controls))
+		item.setAttribute("tabindex", item === stop ? "0" : "-1");
+}
+
+/**
+ * Find accessibility issues in sections: images without an alt attribute, links without text and headings that skip a level,
+ * eg. an h4 after an h2. Images with an empty alt attribute are decorative, and are not issues.
+ * @param {HTMLElement[]} elements - The elements of the sections.
+ * @returns {object[]} The issues, { type, element, section } where the type is "alt", "link" or "heading".
+ */
+export function checkAccessibility (elements){
+	const pageHeadings = [...document.body.querySelectorAll(headings)].filter(heading => !heading.closest(editorElements));
+	const issues = [];
+
+	for(let section of elements){
+		for(let element of findAll(section, "img"))
+			if(!element.hasAttribute("alt"))
+				issues.push({ type: "alt", element, section });
+
+		for(let element of findAll(section, "a"))
+			if(isEmptyLink(element))
+				issues.push({ type: "link", element, section });
+
+		for(let element of findAll(section, headings)){
+			const previous = pageHeadings[pageHeadings.indexOf(element) - 1];
+
+			if(previous && getLevel(element) > getLevel(previous) + 1)
+				issues.push({ type: "heading", element, section });
+		}
+	}
+
+	return issues;
+}
+
+function findAll (el, selector){
+	return(el.matches(selector) ? [el] : []).concat([...el.querySelectorAll(selector)]);
+}
+
+function isEmptyLink (link){
+	const images = [...link.querySelectorAll("img")];
+
+	return!link.textContent.trim() &&
+		!link.getAttribute("aria-label") &&
+		!link.getAttribute("title") &&
+		!images.some(img => (img.getAttribute("alt") || "").trim());
+}
+
+function getLevel (heading){
+	return Number(heading.localName[1]);
+}
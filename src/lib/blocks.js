@@ -0,0 +1,431 @@
+import { blockTags, getSelectedTextNodes } from "./format";
+
+// The blocks the block type of a section can be changed between.
+export const blockTypes = ["p", "h1", "h2", "h3", "h4", "h5", "h6"];
+
+// Sections that can contain blocks. Block tools change the structure inside these sections. Sections that are blocks, or lists,
+// change their own tag instead.
+export const containerTags = [
+	"div", "section", "article", "aside", "header", "footer", "main", "nav", "blockquote", "figure", "li", "td", "th"
+];
+
+const listTags = ["ul", "ol"];
+
+/**
+ * Find the block type of the selection, eg. "p", "h2" or "li".
+ * @param {Range} range - The selected range. It is not changed.
+ * @param {HTMLElement} root - The editable element the range is in.
+ * @returns {string|null} The tag of the block the selection starts in, or null if it is not in a block.
+ */
+export function getBlockType (range, root){
+	const block = findBlock(range.startContainer, root);
+
+	return block ? block.localName : null;
+}
+
+/**
+ * Find the type of list the selection is in.
+ * @param {Range} range - The selected range. It is not changed.
+ * @param {HTMLElement} root - The editable element the range is in.
+ * @returns {string|null} "ul", "ol", or null if all of the selection is not in the same type of list.
+ */
+export function getListType (range, root){
+	const items = getNodes(range, root).map(node => findClosest(node, ["li"], root));
+	const type = items[0] && listTags.indexOf(items[0].parentNode.localName) !== -1 ? items[0].parentNode.localName : null;
+
+	return items.every(item => item && item.parentNode.localName === type) ? type : null;
+}
+
+/**
+ * Change the selected paragraphs and headings into another block type.
+ * Text that is not in a block is wrapped in one first.
+ * @param {Range} range - The selected range. It keeps selecting the same text.
+ * @param {string} tag - The new block type, eg. "h2".
+ * @param {HTMLElement} root - The editable element the range is in.
+ */
+export function setBlockType (range, tag, root){
+	keepRange(range, () => {
+		const blocks = getBlocks(range, root);
+		const replaced = new Map();
+
+		for(let block of blocks)
+			if(blockTypes.indexOf(block.localName) !== -1 && block.localName !== tag)
+				replaced.set(block, replaceTag(block, tag));
+
+		return replaced;
+	});
+}
+
+/**
+ * Make the selected blocks a list, or make them paragraphs if they already are items of that type of list.
+ * Items of the other type of list change the type of their list.
+ * @param {Range} range - The selected range. It keeps selecting the same text.
+ * @param {string} listTag - The type of list, "ul" or "ol".
+ * @param {HTMLElement} root - The editable element the range is in.
+ */
+export function toggleList (range, listTag, root){
+	const type = getListType(range, root);
+
+	keepRange(range, () => {
+		const blocks = getBlocks(range, root);
+		const items = blocks.filter(block => block.localName === "li");
+		const replaced = new Map();
+
+		if(type === listTag){
+			for(let item of items)
+				replaced.set(item, liftItem(item, root, true));
+
+			return replaced;
+		}
+
+		if(type){
+			for(let list of unique(items.map(item => item.parentNode)))
+				if(list !== root)
+					replaced.set(list, replaceTag(list, listTag));
+
+			return replaced;
+		}
+
+		const others = blocks.filter(block => blockTypes.indexOf(block.localName) !== -1);
+
+		if(others.length === 0) return replaced;
+
+		const list = document.createElement(listTag);
+		others[0].parentNode.insertBefore(list, others[0]);
+
+		for(let block of others){
+			const item = document.createElement("li");
+
+			while(block.firstChild)
+				item.appendChild(block.firstChild);
+
+			list.appendChild(item);
+			block.remove();
+			replaced.set(block, item);
+		}
+
+		mergeLists(list);
+
+		return replaced;
+	});
+}
+
+/**
+ * Replace an element with an element of another tag, with the same attributes and content, eg. to make a paragraph a heading.
+ * A paragraph or heading that becomes a list becomes a list with one item, and a list that becomes a paragraph or heading
+ * gets the content of its first item.
+ * @param {HTMLElement} el - The element to replace.
+ * @param {string} tag - The new tag.
+ * @param {Range} [range] - A range in the element. It keeps selecting the same content.
+ * @returns {HTMLElement} The new element.
+ */
+export function changeTag (el, tag, range = null){
+	const toList = listTags.indexOf(tag) !== -1 && listTags.indexOf(el.localName) === -1;
+	const fromList = listTags.indexOf(tag) === -1 && listTags.indexOf(el.localName) !== -1;
+	let replacement = null;
+
+	const change = () => {
+		replacement = replaceTag(el, tag);
+
+		const replaced = new Map([[el, replacement]]);
+		const item = fromList ? [...replacement.children].find(child => child.localName === "li") : document.createElement("li");
+
+		if(toList){
+			while(replacement.firstChild)
+				item.appendChild(replacement.firstChild);
+
+			replacement.appendChild(item);
+		}
+
+		if(fromList && item){
+			replacement.innerHTML = "";
+
+			while(item.firstChild)
+				replacement.appendChild(item.firstChild);
+
+			replaced.set(item, replacement);
+		}
+
+		return replaced;
+	};
+
+	if(range)
+		keepRange(range, change);
+	else
+		change();
+
+	return replacement;
+}
+
+/**
+ * Move the selected list items into a list in the item before them.
+ * @param {Range} range - The selected range. It keeps selecting the same text.
+ * @param {HTMLElement} root - The editable element the range is in.
+ */
+export function indent (range, root){
+	keepRange(range, () => {
+		for(let item of getItems(range, root)){
+			const previous = item.previousElementSibling;
+			const listTag = item.parentNode.localName;
+
+			if(!previous || previous.localName !== "li") continue;
+
+			let list = previous.lastElementChild;
+
+			if(!list || list.localName !== listTag){
+				list = document.createElement(listTag);
+				previous.appendChild(list);
+			}
+
+			list.appendChild(item);
+			mergeLists(list);
+		}
+
+		return new Map();
+	});
+}
+
+/**
+ * Move the selected list items out of their list. Items of a list that is not in another list become paragraphs.
+ * @param {Range} range - The selected range. It keeps selecting the same text.
+ * @param {HTMLElement} root - The editable element the range is in.
+ */
+export function outdent (range, root){
+	keepRange(range, () => {
+		for(let item of getItems(range, root))
+			liftItem(item, root, false);
+
+		return new Map();
+	});
+}
+
+/**
+ * Check whether the selected list items can be indented or outdented.
+ * @param {Range} range - The selected range. It is not changed.
+ * @param {HTMLElement} root - The editable element the range is in.
+ * @returns {object} { indent, outdent }
+ */
+export function canIndent (range, root){
+	const items = getItems(range, root);
+
+	return{
+		indent: items.some(item => item.previousElementSibling && item.previousElementSibling.localName === "li"),
+		outdent: items.some(item => item.parentNode !== root)
+	};
+}
+
+/**
+ * Move a list item out of its list, after the item the list is in. The items after it stay after it,
+ * in a list of their own. An item of a list that is not in another list becomes a paragraph instead.
+ * @param {HTMLLIElement} item - The item to move.
+ * @param {HTMLElement} root - The editable element.
+ * @param {boolean} toParagraph - Make the item a paragraph even if its list is in another list.
+ * @returns {HTMLParagraphElement|null} The paragraph the item became, if it did.
+ */
+function liftItem (item, root, toParagraph){
+	const list = item.parentNode;
+	const parentItem = list.parentNode.localName === "li" && list.parentNode !== root ? list.parentNode : null;
+	const after = [];
+	let next = item.nextSibling,
+		paragraph = null;
+
+	if(list === root) return null;
+
+	while(next){
+		after.push(next);
+		next = next.nextSibling;
+	}
+
+	if(parentItem && !toParagraph)
+		moveAfterParent(item, list, parentItem, after);
+	else
+		paragraph = makeParagraph(item, list, after);
+
+	if(!list.querySelector("li"))
+		list.remove();
+
+	return paragraph;
+}
+
+function moveAfterParent (item, list, parentItem, after){
+	if(after.length){
+		const rest = list.cloneNode(false);
+		after.forEach(node => rest.appendChild(node));
+		item.appendChild(rest);
+	}
+
+	parentItem.parentNode.insertBefore(item, parentItem.nextSibling);
+}
+
+function makeParagraph (item, list, after){
+	const paragraph = document.createElement("p");
+	const nested = [...item.children].filter(child => listTags.indexOf(child.localName) !== -1);
+
+	if(after.length){
+		const rest = list.cloneNode(false);
+		after.forEach(node => rest.appendChild(node));
+		list.parentNode.insertBefore(rest, list.nextSibling);
+	}
+
+	while(item.firstChild)
+		paragraph.appendChild(item.firstChild);
+
+	// Lists in the item can't be in a paragraph, they follow it.
+	list.parentNode.insertBefore(paragraph, list.nextSibling);
+	nested.reverse().forEach(child => paragraph.parentNode.insertBefore(child, paragraph.nextSibling));
+	item.remove();
+
+	return paragraph;
+}
+
+/**
+ * Get the blocks the selection is in. Text that is not in a block is wrapped in a paragraph,
+ * from the closest block before it to the closest block after it.
+ * @param {Range} range - The selected range.
+ * @param {HTMLElement} root - The editable element the range is in.
+ * @returns {HTMLElement[]}
+ */
+function getBlocks (range, root){
+	const blocks = [];
+
+	for(let node of getNodes(range, root)){
+		const block = findBlock(node, root) || wrapInline(node, root);
+
+		if(block && blocks.indexOf(block) === -1)
+			blocks.push(block);
+	}
+
+	return blocks;
+}
+
+function getItems (range, root){
+	return unique(getNodes(range, root).map(node => findClosest(node, ["li"], root)).filter(item => !!item));
+}
+
+function getNodes (range, root){
+	const nodes = range.collapsed ? [range.startContainer] : getSelectedTextNodes(range, root);
+
+	return nodes.length ? nodes : [range.startContainer];
+}
+
+function findBlock (node, root){
+	return findClosest(node, blockTypes.concat("li"), root);
+}
+
+function findClosest (node, tags, root){
+	let current = node;
+
+	while(current && current !== root && root.contains(current)){
+		if(current.nodeType === Node.ELEMENT_NODE && tags.indexOf(current.localName) !== -1)
+			return current;
+
+		current = current.parentNode;
+	}
+
+	return null;
+}
+
+// Wrap the inline content around a node, that is not in a block, in a paragraph.
+function wrapInline (node, root){
+	const isBlock = (el) => el.nodeType === Node.ELEMENT_NODE && (blockTags.indexOf(el.localName) !== -1 || el.localName === "br");
+	let top = node;
+
+	if(node === root || (node.nodeType === Node.ELEMENT_NODE && blockTags.indexOf(node.localName) !== -1)) return null;
+
+	while(top.parentNode !== root && !isBlock(top.parentNode))
+		top = top.parentNode;
+
+	const paragraph = document.createElement("p");
+	let first = top,
+		last = top;
+
+	while(first.previousSibling && !isBlock(first.previousSibling))
+		first = first.previousSibling;
+
+	while(last.nextSibling && !isBlock(last.nextSibling))
+		last = last.nextSibling;
+
+	// A line break ending the run is replaced by the end of the paragraph.
+	const end = last.nextSibling && last.nextSibling.localName === "br" ? last.nextSibling : null;
+
+	top.parentNode.insertBefore(paragraph, first);
+
+	let current = first;
+
+	while(current){
+		const next = current === last ? null : current.nextSibling;
+		paragraph.appendChild(current);
+		current = next;
+	}
+
+	if(end)
+		end.remove();
+
+	return paragraph;
+}
+
+function replaceTag (el, tag){
+	const replacement = document.createElement(tag);
+
+	const attributes = [...el.attributes];
+
+	for(let attribute of attributes)
+		replacement.setAttribute(attribute.name, attribute.value);
+
+	while(el.firstChild)
+		replacement.appendChild(el.firstChild);
+
+	el.parentNode.replaceChild(replacement, el);
+
+	return replacement;
+}
+
+// Merge a list into lists of the same type directly before and after it.
+function mergeLists (list){
+	const previous = list.previousElementSibling;
+	const next = list.nextElementSibling;
+
+	if(next && next.localName === list.localName){
+		while(next.firstChild)
+			list.appendChild(next.firstChild);
+
+		next.remove();
+	}
+
+	if(previous && previous.localName === list.localName){
+		while(list.firstChild)
+			previous.appendChild(list.firstChild);
+
+		list.remove();
+	}
+}
+
+function unique (items){
+	return items.filter((item, i) => items.indexOf(item) === i);
+}
+
+/**
+ * Keep a range selecting the same content while its nodes are moved.
+ * @param {Range} range - The range.
+ * @param {function} change - Changes the content. Returns a map of replaced elements to their replacements.
+ */
+function keepRange (range, change){
+	const start = { node: range.startContainer, offset: range.startOffset };
+	const end = { node: range.endContainer, offset: range.endOffset };
+	const replaced = change();
+
+	const points = [start, end];
+
+	for(let point of points)
+		while(replaced.get(point.node))
+			point.node = replaced.get(point.node);
+
+	if(start.node.isConnected && end.node.isConnected){
+		range.setStart(start.node, Math.min(start.offset, getLength(start.node)));
+		range.setEnd(end.node, Math.min(end.offset, getLength(end.node)));
+	}
+}
+
+function getLength (node){
+	return node.nodeType === Node.TEXT_NODE ? node.length : node.childNodes.length;
+}
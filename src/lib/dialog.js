@@ -0,0 +1,351 @@
+// Dialogs that are open, so that they can be closed when the CMS is destroyed.
+const openDialogs = new Set();
+
+const focusable = "input, select, textarea, button, [href], [tabindex]:not([tabindex=\"-1\"])";
+
+/**
+ * Open a modal dialog with a form. Focus is kept inside the dialog while it is open, and returned to where it was when it closes.
+ * Enter submits the form, except in a textarea, and Escape or clicking outside of the dialog cancels it.
+ * @param {object} options - Options for the dialog.
+ * @param {string} options.title - The title of the dialog.
+ * @param {object[]} options.fields - The fields of the form, in order.
+ * @param {string} options.fields.name - The name of the field, its value is returned under it.
+ * @param {string} [options.fields.label] - The label of the field.
+ * @param {string} [options.fields.type] - "text", "url", "email", "textarea", "checkbox", "select" or "file". Defaults to "text".
+ * @param {string|boolean} [options.fields.value] - The value the field starts with. Checkboxes take a boolean.
+ * @param {object[]} [options.fields.options] - The options of a select, { value, label }.
+ * @param {string} [options.fields.accept] - The file types a file field accepts, eg. "image/*". Files of those types can also be dropped on the dialog.
+ * @param {string} [options.fields.hint] - A description displayed below the field.
+ * @param {string} [options.fields.placeholder] - The placeholder of the field.
+ * @param {number} [options.fields.maxLength] - The recommended length of the value. The number of characters is displayed, and highlighted when there are too many.
+ * @param {function} [options.fields.suggest] - Called with the value of the field as it is typed. Returns, or resolves to, suggestions, { value, label }.
+ * @param {object} options.labels - The texts of the buttons, { submit, cancel, close }. Without a submit text, the dialog only has a close button,
+ * eg. when it displays something rather than asks for something.
+ * @param {string} [options.className] - A class added to the dialog, to style it.
+ * @param {function} [options.validate] - Called with the values before the dialog is submitted.
+ * Returns an object of error messages by field name, or nothing if the values are valid.
+ * @param {function} [options.preview] - Called with the values whenever they change. Returns an element to display below the fields.
+ * @param {function} [options.content] - Returns an element to display below the fields, eg. a list to choose from. It is called with
+ * a function that closes the dialog, which resolves to the value the function is called with.
+ * @returns {Promise<*>} The values of the fields by name, the value the dialog was closed with, or false if the dialog was cancelled.
+ */
+export function openDialog ({ title, fields = [], labels, className = "", validate = null, preview = null, content = null }){
+	return new Promise(resolve => {
+		const container = document.createElement("div");
+		const form = document.createElement("form");
+		const header = document.createElement("header");
+		const heading = document.createElement("h3");
+		const close = document.createElement("button");
+		const actions = document.createElement("div");
+		const cancel = document.createElement("button");
+		const submit = document.createElement("button");
+		const previewContainer = document.createElement("div");
+		const contentContainer = document.createElement("div");
+		const previousFocus = document.activeElement;
+		const id = "cms-dialog-" + Date.now().toString(36);
+		const rendered = fields.map((field, i) => createField(field, `${id}-${i}`));
+
+		container.classList.add("cms-dialog");
+
+		if(className)
+			container.classList.add(className);
+
+		form.classList.add("cms-dialog-form");
+		form.setAttribute("role", "dialog");
+		form.setAttribute("aria-modal", "true");
+		form.setAttribute("aria-labelledby", id);
+		form.noValidate = true;
+
+		heading.id = id;
+		heading.textContent = title;
+		close.type = "button";
+		close.classList.add("cms-dialog-close");
+		close.setAttribute("aria-label", labels.close);
+
+		actions.classList.add("cms-dialog-actions");
+		cancel.type = "button";
+		cancel.textContent = labels.cancel;
+		submit.type = "submit";
+		submit.textContent = labels.submit;
+
+		header.appendChild(heading);
+		header.appendChild(close);
+		actions.appendChild(cancel);
+		actions.appendChild(submit);
+		form.appendChild(header);
+		rendered.forEach(field => form.appendChild(field.element));
+
+		if(content){
+			contentContainer.classList.add("cms-dialog-content");
+			form.appendChild(contentContainer);
+		}
+
+		if(preview){
+			previewContainer.classList.add("cms-dialog-preview");
+			form.appendChild(previewContainer);
+		}
+
+		if(labels.submit)
+			form.appendChild(actions);
+
+		container.appendChild(form);
+		document.body.appendChild(container);
+
+		const getValues = () => {
+			const values = {};
+
+			for(let{ field, input } of rendered){
+				const value = {
+					checkbox: () => input.checked,
+					file: () => input.files[0] || null
+				}[field.type];
+
+				values[field.name] = value ? value() : input.value;
+			}
+
+			return values;
+		};
+
+		const updatePreview = () => {
+			if(!preview) return;
+
+			previewContainer.innerHTML = "";
+			previewContainer.appendChild(preview(getValues()));
+		};
+
+		const done = (result) => {
+			openDialogs.delete(dialog);
+			container.remove();
+
+			if(previousFocus && previousFocus.focus && previousFocus.isConnected)
+				previousFocus.focus();
+
+			resolve(result);
+		};
+
+		const dialog = { close: () => done(false) };
+		openDialogs.add(dialog);
+
+		form.addEventListener("submit", (e) => {
+			e.preventDefault();
+			const values = getValues();
+			const errors = validate ? validate(values) || {} : {};
+			const invalid = rendered.filter(field => showError(field, errors[field.field.name]));
+
+			if(invalid.length)
+				return invalid[0].input.focus();
+
+			done(values);
+		});
+
+		form.addEventListener("keydown", (e) => {
+			// Keys pressed in a dialog are not shortcuts of the page below it.
+			e.stopPropagation();
+
+			if(e.key === "Escape")
+				done(false);
+
+			if(e.key === "Tab")
+				trapFocus(e, form);
+		});
+
+		form.addEventListener("input", (e) => {
+			const field = rendered.find(field => field.input === e.target);
+
+			if(field){
+				showError(field, "");
+				countCharacters(field);
+				suggest(field);
+			}
+
+			updatePreview();
+		});
+
+		close.addEventListener("click", () => done(false));
+		cancel.addEventListener("click", () => done(false));
+		container.addEventListener("mousedown", (e) => {
+			if(e.target === container)
+				done(false);
+		});
+
+		const fileField = rendered.find(field => field.field.type === "file");
+
+		// A dropped file submits the dialog, as if it was chosen in the file field.
+		if(fileField){
+			container.addEventListener("dragover", (e) => {
+				e.preventDefault();
+				form.classList.add("drag-over");
+			});
+			container.addEventListener("dragleave", () => form.classList.remove("drag-over"));
+			container.addEventListener("drop", (e) => {
+				const file = findFile(e.dataTransfer, fileField.field.accept);
+
+				e.preventDefault();
+				form.classList.remove("drag-over");
+
+				if(file)
+					done(Object.assign(getValues(), { [fileField.field.name]: file }));
+			});
+		}
+
+		if(content)
+			contentContainer.appendChild(content(done));
+
+		rendered.forEach(countCharacters);
+		rendered.filter(field => field.field.suggest).forEach(suggest);
+		updatePreview();
+
+		const first = form.querySelector("input, select, textarea") || contentContainer.querySelector(focusable);
+		(first || (labels.submit ? submit : close)).focus();
+	});
+}
+
+/**
+ * Close every open dialog, as if it was cancelled.
+ */
+export function closeDialogs (){
+	openDialogs.forEach(dialog => dialog.close());
+}
+
+function createField (field, id){
+	const type = field.type || "text";
+	const element = document.createElement(type === "checkbox" ? "label" : "div");
+	const label = document.createElement(type === "checkbox" ? "span" : "label");
+	const input = document.createElement({ textarea: "textarea", select: "select" }[type] || "input");
+	const error = document.createElement("p");
+	const normalized = Object.assign({ type, value: "", label: "" }, field);
+
+	element.classList.add(type === "checkbox" ? "cms-checkbox" : "cms-field");
+	label.textContent = normalized.label;
+	input.name = field.name;
+	input.id = id;
+	error.id = id + "-error";
+	error.classList.add("cms-field-error");
+	error.setAttribute("role", "alert");
+
+	if(type !== "checkbox")
+		label.htmlFor = id;
+
+	if(input.localName === "input")
+		input.type = type;
+
+	for(let option of field.options || []){
+		const el = document.createElement("option");
+
+		el.value = option.value;
+		el.textContent = option.label;
+		input.appendChild(el);
+	}
+
+	if(type === "checkbox")
+		input.checked = !!normalized.value;
+	else if(type !== "file")
+		input.value = normalized.value;
+
+	if(field.accept)
+		input.accept = field.accept;
+
+	if(field.placeholder)
+		input.placeholder = field.placeholder;
+
+	// Checkboxes come before their label.
+	const children = type === "checkbox" ? [input, label] : [label, input];
+	children.forEach(child => element.appendChild(child));
+
+	if(field.hint){
+		const hint = document.createElement("p");
+
+		hint.id = id + "-hint";
+		hint.classList.add("cms-field-hint");
+		hint.textContent = field.hint;
+		input.setAttribute("aria-describedby", hint.id);
+		element.appendChild(hint);
+	}
+
+	if(field.maxLength){
+		const count = document.createElement("span");
+
+		count.id = id + "-count";
+		count.classList.add("cms-field-count");
+		input.setAttribute("aria-describedby", [input.getAttribute("aria-describedby"), count.id].filter(id => !!id).join(" "));
+		element.appendChild(count);
+	}
+
+	if(field.suggest){
+		const list = document.createElement("datalist");
+
+		list.id = id + "-suggestions";
+		input.setAttribute("list", list.id);
+		input.setAttribute("autocomplete", "off");
+		element.appendChild(list);
+	}
+
+	element.appendChild(error);
+
+	return{ field: normalized, element, input, error };
+}
+
+function countCharacters ({ field, input, element }){
+	const count = element.querySelector(".cms-field-count");
+
+	if(!count) return;
+
+	count.textContent = input.value.length + " / " + field.maxLength;
+	count.classList.toggle("over", input.value.length > field.maxLength);
+}
+
+function showError ({ input, error }, message){
+	error.textContent = message || "";
+
+	if(message)
+		input.setAttribute("aria-invalid", "true");
+	else
+		input.removeAttribute("aria-invalid");
+
+	return!!message;
+}
+
+async function suggest ({ field, input, element }){
+	if(!field.suggest) return;
+
+	const query = input.value;
+	const suggestions = await field.suggest(query);
+	const list = element.querySelector("datalist");
+
+	// Only show suggestions for what is typed now, not for what was typed when they were requested.
+	if(query !== input.value) return;
+
+	list.innerHTML = "";
+
+	for(let suggestion of suggestions){
+		const option = document.createElement("option");
+
+		option.value = suggestion.value;
+		option.label = suggestion.label || suggestion.value;
+		list.appendChild(option);
+	}
+}
+
+function trapFocus (e, form){
+	const elements = [...form.querySelectorAll(focusable)].filter(el => !el.disabled);
+	const first = elements[0];
+	const last = elements[elements.length - 1];
+
+	if(e.shiftKey && document.activeElement === first){
+		e.preventDefault();
+		last.focus();
+	}
+
+	if(!e.shiftKey && document.activeElement === last){
+		e.preventDefault();
+		first.focus();
+	}
+}
+
+function findFile (dataTransfer, accept = ""){
+	const files = dataTransfer && dataTransfer.files ? [...dataTransfer.files] : [];
+	const types = accept.split(",").map(type => type.trim()).filter(type => !!type);
+
+	// Types like "image/*" match every type that starts with "image/".
+	return files.find(file => types.length === 0 || types.some(type => file.type.indexOf(type.replace("*", "")) === 0));
+}
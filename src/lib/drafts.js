@@ -0,0 +1,92 @@
+const prefix = "cms-drafts:";
+
+/**
+ * Get the drafts stored for a page.
+ * @param {string} page - The pathname of the page.
+ * @returns {{ sections: object, meta: object|null }} Drafts of sections keyed by their id or selector path, and a draft of the meta info.
+ */
+export function getDrafts (page){
+	const empty = { sections: {}, meta: null };
+
+	try{
+		const drafts = JSON.parse(localStorage.getItem(prefix + page));
+
+		return Object.assign(empty, drafts);
+	}catch (err){
+		return empty;
+	}
+}
+
+/**
+ * Store a draft of a section.
+ * @param {string} page - The pathname of the page.
+ * @param {string} key - The id or selector path identifying the section.
+ * @param {object} draft - The draft to store.
+ * @param {string} draft.saved_text - The saved content the draft is based on.
+ * @param {string} draft.edited_text - The edited content.
+ */
+export function setDraft (page, key, draft){
+	const drafts = getDrafts(page);
+
+	drafts.sections[key] = draft;
+	storeDrafts(page, drafts);
+}
+
+/**
+ * Store a draft of the meta info.
+ * @param {string} page - The pathname of the page.
+ * @param {object} draft - The draft to store.
+ * @param {object} draft.saved - The saved meta info the draft is based on.
+ * @param {object} draft.edited - The edited meta info.
+ */
+export function setMetaDraft (page, draft){
+	const drafts = getDrafts(page);
+
+	drafts.meta = draft;
+	storeDrafts(page, drafts);
+}
+
+/**
+ * Remove the draft of a section.
+ * @param {string} page - The pathname of the page.
+ * @param {string} key - The id or selector path identifying the section.
+ */
+export function removeDraft (page, key){
+	const drafts = getDrafts(page);
+
+	delete drafts.sections[key];
+	storeDrafts(page, drafts);
+}
+
+/**
+ * Remove the draft of the meta info.
+ * @param {string} page - The pathname of the page.
+ */
+export function removeMetaDraft (page){
+	const drafts = getDrafts(page);
+
+	drafts.meta = null;
+	storeDrafts(page, drafts);
+}
+
+/**
+ * Remove all drafts of a page.
+ * @param {string} page - The pathname of the page.
+ */
+export function clearDrafts (page){
+	try{
+		localStorage.removeItem(prefix + page);
+	}catch (err){}
+}
+
+function storeDrafts (page, drafts){
+	const isEmpty = Object.keys(drafts.sections).length === 0 && !drafts.meta;
+
+	// Storage can be full or disabled, in which case the drafts only live in memory.
+	try{
+		if(isEmpty)
+			localStorage.removeItem(prefix + page);
+		else
+			localStorage.setItem(prefix + page, JSON.stringify(drafts));
+	}catch (err){}
+}
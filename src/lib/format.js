@@ -0,0 +1,443 @@
+/**
+ * The inline formats of the editor. Each format is applied with its tag, and recognized by any of the tags in matches,
+ * so that eg. bold text written as <b> can be made normal again.
+ */
+export const formats = {
+	bold: { tag: "strong", matches: ["strong", "b"] },
+	italic: { tag: "em", matches: ["em", "i"] },
+	underline: { tag: "u", matches: ["u", "ins"] },
+	linethrough: { tag: "s", matches: ["s", "strike", "del"] },
+	superscript: { tag: "sup", matches: ["sup"], excludes: "subscript" },
+	subscript: { tag: "sub", matches: ["sub"], excludes: "superscript" },
+	link: { tag: "a", matches: ["a"] }
+};
+
+// Formats never continue past these elements, eg. bold text in two list items is two <strong> elements.
+export const blockTags = [
+	"p", "div", "li", "ul", "ol", "h1", "h2", "h3", "h4", "h5", "h6", "blockquote", "pre",
+	"section", "article", "header", "footer", "aside", "main", "nav", "figure", "table", "thead", "tbody", "tfoot", "tr", "td", "th"
+];
+
+// Text directly inside these elements is only whitespace between their children, it is never formatted.
+const containerTags = ["ul", "ol", "table", "thead", "tbody", "tfoot", "tr"];
+
+/**
+ * Get a format that creates links to a URL.
+ * @param {string} href - The URL of the links.
+ * @returns {object}
+ */
+export function linkFormat (href){
+	return Object.assign({}, formats.link, { attributes: { href } });
+}
+
+/**
+ * Check whether all selected text has a format. A collapsed range checks the text around the caret.
+ * @param {Range} range - The selected range. It is not changed.
+ * @param {object} format - One of the formats.
+ * @param {HTMLElement} root - The editable element the range is in.
+ * @returns {boolean}
+ */
+export function isFormatActive (range, format, root){
+	const nodes = range.collapsed ? [range.startContainer] : getSelectedTextNodes(range, root);
+
+	if(nodes.length === 0) return false;
+
+	return nodes.every(node => !!findFormatted(node, format, root));
+}
+
+/**
+ * Remove a format from the selected text if all of it has the format, otherwise apply it.
+ * A collapsed range toggles the format of the word around the caret.
+ * @param {Range} range - The selected range. It is updated to select the same text after formatting.
+ * @param {object} format - One of the formats.
+ * @param {HTMLElement} root - The editable element the range is in.
+ * @returns {boolean} False if there was no text to format.
+ */
+export function toggleFormat (range, format, root){
+	if(range.collapsed && !expandToWord(range)) return false;
+
+	if(isFormatActive(range, format, root))
+		return removeFormat(range, format, root);
+
+	return applyFormat(range, format, root);
+}
+
+/**
+ * Apply a format to the selected text. Parts of the text that already have the format are not wrapped twice,
+ * and a format it excludes is removed.
+ * @param {Range} range - The selected range. It is updated to select the same text after formatting.
+ * @param {object} format - One of the formats.
+ * @param {HTMLElement} root - The editable element the range is in.
+ * @returns {boolean} False if there was no text to format.
+ */
+export function applyFormat (range, format, root){
+	// Text can't be both, eg. superscript and subscript.
+	if(format.excludes)
+		removeFormat(range, formats[format.excludes], root);
+
+	if(!removeFormat(range, format, root)) return false;
+
+	const nodes = getSelectedTextNodes(range, root);
+	const targets = [];
+
+	// Wrap the largest inline elements that are completely selected, rather than every text node.
+	for(let node of nodes){
+		let target = node;
+
+		while(
+			target.parentNode !== root &&
+			blockTags.indexOf(target.parentNode.localName) === -1 &&
+			isCompletelySelected(target.parentNode, nodes)
+		) target = target.parentNode;
+
+		if(targets.indexOf(target) === -1)
+			targets.push(target);
+	}
+
+	groupSiblings(targets).forEach(group => wrap(group, createFormatElement(format)));
+	mergeAdjacent(root, format);
+	selectNodes(range, nodes);
+
+	return true;
+}
+
+/**
+ * Remove a format from the selected text. Formatted elements that are only partly selected are split,
+ * so that text outside of the selection keeps the format.
+ * @param {Range} range - The selected range. It is updated to select the same text after formatting.
+ * @param {object} format - One of the formats.
+ * @param {HTMLElement} root - The editable element the range is in.
+ * @returns {boolean} False if there was no text to format.
+ */
+export function removeFormat (range, format, root){
+	splitBoundaries(range);
+
+	const nodes = getSelectedTextNodes(range, root);
+	const formatted = [];
+
+	if(nodes.length === 0) return false;
+
+	for(let node of nodes){
+		let el = findFormatted(node, format, root);
+
+		while(el){
+			if(formatted.indexOf(el) === -1)
+				formatted.push(el);
+
+			el = findFormatted(el.parentNode, format, root);
+		}
+	}
+
+	for(let el of formatted){
+		const unselected = [];
+
+		findUnselected(el, nodes, unselected);
+		unwrap(el);
+		groupSiblings(unselected).forEach(group => wrap(group, el.cloneNode(false)));
+	}
+
+	mergeAdjacent(root, format);
+	selectNodes(range, nodes);
+
+	return true;
+}
+
+/**
+ * Remove every format except links from the selected text. A collapsed range clears the word around the caret.
+ * @param {Range} range - The selected range. It is updated to select the same text after formatting.
+ * @param {HTMLElement} root - The editable element the range is in.
+ * @returns {boolean} False if there was no text to clear.
+ */
+export function clearFormats (range, root){
+	if(range.collapsed && !expandToWord(range)) return false;
+
+	for(let name of Object.keys(formats))
+		if(name !== "link" && !removeFormat(range, formats[name], root))
+			return false;
+
+	return true;
+}
+
+/**
+ * Find the link at the start of a range.
+ * @param {Range} range - The range.
+ * @param {HTMLElement} root - The editable element the range is in.
+ * @returns {HTMLAnchorElement|null}
+ */
+export function getLink (range, root){
+	return findFormatted(range.startContainer, formats.link, root);
+}
+
+/**
+ * Link the selected text to a URL. A collapsed range inside a link changes the URL of the link,
+ * anywhere else it inserts the URL as a link.
+ * @param {Range} range - The selected range. It is updated to select the linked text.
+ * @param {string} href - The URL to link to.
+ * @param {HTMLElement} root - The editable element the range is in.
+ */
+export function createLink (range, href, root){
+	const link = getLink(range, root);
+
+	if(range.collapsed && link){
+		link.setAttribute("href", href);
+		return range.selectNodeContents(link);
+	}
+
+	if(range.collapsed){
+		const text = document.createTextNode(href);
+
+		range.insertNode(text);
+		range.selectNode(text);
+	}
+
+	applyFormat(range, linkFormat(href), root);
+}
+
+/**
+ * Remove links from the selected text. A collapsed range removes the whole link around the caret.
+ * @param {Range} range - The selected range. It is updated to select the same text.
+ * @param {HTMLElement} root - The editable element the range is in.
+ */
+export function removeLink (range, root){
+	const link = getLink(range, root);
+
+	if(range.collapsed && link)
+		range.selectNodeContents(link);
+
+	removeFormat(range, formats.link, root);
+}
+
+/**
+ * Split the text nodes at the start and end of a range, so that the range only contains whole text nodes.
+ * @param {Range} range - The range to split at.
+ */
+function splitBoundaries (range){
+	let startContainer = range.startContainer,
+		startOffset = range.startOffset,
+		endContainer = range.endContainer,
+		endOffset = range.endOffset;
+
+	if(endContainer.nodeType === Node.TEXT_NODE && endOffset > 0 && endOffset < endContainer.length)
+		endContainer.splitText(endOffset);
+
+	if(startContainer.nodeType === Node.TEXT_NODE && startOffset > 0 && startOffset < startContainer.length){
+		const after = startContainer.splitText(startOffset);
+
+		if(endContainer === startContainer){
+			endContainer = after;
+			endOffset -= startOffset;
+		}
+
+		startContainer = after;
+		startOffset = 0;
+	}
+
+	range.setStart(startContainer, startOffset);
+	range.setEnd(endContainer, endOffset);
+}
+
+/**
+ * Get the text nodes that are at least partly selected.
+ * @param {Range} range - The selected range.
+ * @param {HTMLElement} root - The editable element the range is in.
+ * @returns {Text[]}
+ */
+export function getSelectedTextNodes (range, root){
+	const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+	const nodes = [];
+	let node = walker.nextNode();
+
+	while(node){
+		const isStart = node === range.startContainer;
+		const isEnd = node === range.endContainer;
+		const isSelected = range.intersectsNode(node) &&
+			node.length > 0 &&
+			!(isStart && range.startOffset >= node.length) &&
+			!(isEnd && range.endOffset === 0) &&
+			containerTags.indexOf(node.parentNode.localName) === -1;
+
+		if(isSelected)
+			nodes.push(node);
+
+		node = walker.nextNode();
+	}
+
+	return nodes;
+}
+
+/**
+ * Expand a collapsed range to the word around it.
+ * @param {Range} range - The collapsed range.
+ * @returns {boolean} False if the range is not in a word.
+ */
+function expandToWord (range){
+	const node = range.startContainer;
+	const isWordChar = (char) => !!char && !/[\s.,;:!?()"]/.test(char);
+	let start = range.startOffset,
+		end = range.startOffset;
+
+	if(node.nodeType !== Node.TEXT_NODE) return false;
+
+	while(isWordChar(node.data[start - 1]))
+		start--;
+
+	while(isWordChar(node.data[end]))
+		end++;
+
+	if(start === end) return false;
+
+	range.setStart(node, start);
+	range.setEnd(node, end);
+
+	return true;
+}
+
+/**
+ * Find the closest element with a format, from a node up to the editable element.
+ * @param {Node} node - The node to start at.
+ * @param {object} format - One of the formats.
+ * @param {HTMLElement} root - The editable element. It is never returned.
+ * @returns {HTMLElement|null}
+ */
+function findFormatted (node, format, root){
+	let current = node;
+
+	while(current && current !== root){
+		if(current.nodeType === Node.ELEMENT_NODE && format.matches.indexOf(current.localName) !== -1)
+			return current;
+
+		current = current.parentNode;
+	}
+
+	return null;
+}
+
+function isCompletelySelected (el, nodes){
+	const walker = document.createTreeWalker(el, NodeFilter.SHOW_TEXT);
+	let node = walker.nextNode();
+
+	while(node){
+		if(node.length > 0 && nodes.indexOf(node) === -1)
+			return false;
+
+		node = walker.nextNode();
+	}
+
+	return true;
+}
+
+// Find the largest parts of an element that contain no selected text.
+function findUnselected (el, nodes, unselected){
+	const children = [...el.childNodes];
+
+	for(let child of children){
+		const hasSelected = nodes.some(node => child === node || child.contains(node));
+
+		if(!hasSelected)
+			unselected.push(child);
+		else if(child.nodeType === Node.ELEMENT_NODE)
+			findUnselected(child, nodes, unselected);
+	}
+}
+
+// Group nodes, in document order, into runs of adjacent siblings.
+function groupSiblings (nodes){
+	const groups = [];
+
+	for(let node of nodes){
+		const group = groups[groups.length - 1];
+
+		if(group && group[group.length - 1].nextSibling === node)
+			group.push(node);
+		else
+			groups.push([node]);
+	}
+
+	return groups;
+}
+
+function createFormatElement (format){
+	const el = document.createElement(format.tag);
+	const attributes = format.attributes || {};
+
+	for(let name of Object.keys(attributes))
+		el.setAttribute(name, attributes[name]);
+
+	return el;
+}
+
+function wrap (nodes, wrapper){
+	nodes[0].parentNode.insertBefore(wrapper, nodes[0]);
+
+	for(let node of nodes)
+		wrapper.appendChild(node);
+}
+
+function unwrap (el){
+	const parent = el.parentNode;
+
+	while(el.firstChild)
+		parent.insertBefore(el.firstChild, el);
+
+	parent.removeChild(el);
+}
+
+/**
+ * Merge adjacent elements of a format with the same attributes.
+ * @param {HTMLElement} root - The element to merge in.
+ * @param {object} format - One of the formats.
+ */
+function mergeAdjacent (root, format){
+	const elements = [...root.querySelectorAll(format.matches.join(", "))];
+
+	for(let el of elements){
+		const next = el.nextSibling;
+
+		if(!el.parentNode) continue;
+
+		if(next && next.nodeType === Node.ELEMENT_NODE && next.localName === el.localName && isSameAttributes(el, next)){
+			while(next.firstChild)
+				el.appendChild(next.firstChild);
+
+			next.remove();
+			elements.push(el);
+		}
+	}
+}
+
+function isSameAttributes (a, b){
+	const attributes = [...a.attributes];
+
+	if(attributes.length !== b.attributes.length) return false;
+
+	return attributes.every(attribute => b.getAttribute(attribute.name) === attribute.value);
+}
+
+function selectNodes (range, nodes){
+	const first = nodes[0];
+	const last = nodes[nodes.length - 1];
+
+	range.setStart(first, 0);
+	range.setEnd(last, last.length);
+}
+
+/**
+ * Replace the selected content with html, and place the caret after it.
+ * @param {Range} range - The selected range. It is collapsed after the inserted html.
+ * @param {string} html - The html to insert.
+ */
+export function insertHtml (range, html){
+	const template = document.createElement("template");
+	template.innerHTML = html;
+
+	const fragment = template.content;
+	const last = fragment.lastChild;
+
+	range.deleteContents();
+
+	if(!last) return;
+
+	range.insertNode(fragment);
+	range.setStartAfter(last);
+	range.collapse(true);
+}
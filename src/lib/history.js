@@ -0,0 +1,102 @@
+/**
+ * A stack of changes that can be undone and redone.
+ */
+class EditHistory{
+	/**
+	 * Create an empty history.
+	 * @param {object} [options] - Options for the history.
+	 * @param {number} [options.limit] - The maximum number of changes to remember.
+	 * @param {number} [options.mergeDelay] - Changes to the same target within this many milliseconds are merged into one change, eg. when typing.
+	 */
+	constructor ({ limit = 100, mergeDelay = 1000 } = {}){
+		this.limit = limit;
+		this.mergeDelay = mergeDelay;
+		this.undoStack = [];
+		this.redoStack = [];
+	}
+
+	/**
+	 * Add a change to the history. Changes that were undone can't be redone after this.
+	 * @param {object} change - The change to add.
+	 * @param {*} change.target - What was changed, eg. a section.
+	 * @param {*} change.before - The value before the change.
+	 * @param {*} change.after - The value after the change.
+	 * @param {boolean} [merge] - Whether the change may be merged with the previous one.
+	 */
+	push ({ target, before, after }, merge = true){
+		const last = this.undoStack[this.undoStack.length - 1];
+		const time = Date.now();
+
+		this.redoStack = [];
+
+		if(merge && last && last.target === target && time - last.time < this.mergeDelay){
+			last.after = after;
+			last.time = time;
+			return;
+		}
+
+		this.undoStack.push({ target, before, after, time });
+
+		if(this.undoStack.length > this.limit)
+			this.undoStack.shift();
+	}
+
+	/**
+	 * Take the latest change from the history, so that it can be undone.
+	 * @returns {object|null} The change, or null if there is nothing to undo.
+	 */
+	undo (){
+		const change = this.undoStack.pop();
+
+		if(!change) return null;
+
+		this.redoStack.push(change);
+
+		return change;
+	}
+
+	/**
+	 * Take the latest undone change, so that it can be redone.
+	 * @returns {object|null} The change, or null if there is nothing to redo.
+	 */
+	redo (){
+		const change = this.redoStack.pop();
+
+		if(!change) return null;
+
+		// A redone change should never be merged with the next one.
+		change.time = 0;
+		this.undoStack.push(change);
+
+		return change;
+	}
+
+	/**
+	 * Change the values in the history, eg. after content was cleaned up, so that undoing or redoing never brings back the old values.
+	 * @param {function} change - Called with every value and what it is a value of, the target. Returns the value to keep.
+	 */
+	map (change){
+		for(let entry of this.undoStack.concat(this.redoStack)){
+			entry.before = change(entry.before, entry.target);
+			entry.after = change(entry.after, entry.target);
+		}
+	}
+
+	canUndo (){
+		return this.undoStack.length > 0;
+	}
+
+	canRedo (){
+		return this.redoStack.length > 0;
+	}
+
+	/**
+	 * Forget all changes.
+	 */
+	clear (){
+		this.undoStack = [];
+		this.redoStack = [];
+	}
+}
+
+export default EditHistory;
@@ -0,0 +1,195 @@
+import { openDialog } from "./dialog";
+
+// Top level domains that are recognized without "www.", so that eg. "example.com" is a link to another site
+// while "contact.html" is a page on this one.
+const domains = [
+	"com", "org", "net", "edu", "gov", "info", "biz", "io", "co", "app", "dev", "me", "tv", "nu", "xyz", "site", "online", "shop",
+	"eu", "se", "no", "dk", "fi", "is", "de", "at", "ch", "nl", "be", "fr", "es", "pt", "it", "pl", "cz", "ee", "lv", "lt",
+	"uk", "ie", "us", "ca", "mx", "br", "au", "nz", "jp", "cn", "in", "ru"
+];
+
+/**
+ * Turn what was typed as the target of a link into a URL. Relative URLs, eg. "contact.html" or "about/team", are kept as they are,
+ * e-mail addresses become mailto: links and domains, eg. "example.com" or "www.example.org/about", become https: links.
+ * @param {string} value - The typed value.
+ * @param {string[]} schemes - The allowed URL schemes.
+ * @returns {string|null} The URL, or null if the value is not a valid link.
+ */
+export function normalizeUrl (value, schemes){
+	const url = value.trim();
+	const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(url);
+
+	if(!url || /\s/.test(url)) return null;
+
+	if(/^[/?#.]/.test(url)) return url;
+
+	if(scheme)
+		return schemes.indexOf(scheme[1].toLowerCase()) !== -1 && isValidUrl(url) ? url : null;
+
+	if(/^[^@/]+@[^@/]+\.[a-z]{2,}$/i.test(url))
+		return"mailto:" + url;
+
+	if(/^\+?[\d-]{5,}$/.test(url))
+		return"tel:" + url.replace(/-/g, "");
+
+	if(isDomain(url.split(/[/?#]/)[0]))
+		return schemes.indexOf("https") !== -1 ? "https://" + url : null;
+
+	if(/^[\w\-.~%!$&'()*+,;=]+([/?#].*)?$/.test(url))
+		return url;
+
+	return null;
+}
+
+function isDomain (host){
+	const match = /^(www\.)?([a-z0-9-]+\.)+([a-z]{2,})$/i.exec(host);
+
+	return!!match && (!!match[1] || domains.indexOf(match[3].toLowerCase()) !== -1);
+}
+
+function isValidUrl (url){
+	try{
+		const parsed = new URL(url);
+
+		// Web addresses need a host, unlike eg. mailto: and tel: links.
+		return parsed.protocol.indexOf("http") !== 0 || !!parsed.hostname;
+	}catch (err){
+		return false;
+	}
+}
+
+/**
+ * Read the pages of the site from the response of the sitemap endpoint. It can respond with an XML sitemap,
+ * or with JSON, an array of urls or of objects with a url and a title.
+ * URLs on the current site are made relative to it.
+ * @param {string} text - The body of the response.
+ * @returns {object[]} The pages, { url, title }.
+ */
+export function parsePages (text){
+	let pages;
+
+	try{
+		pages = JSON.parse(text);
+	}catch (err){
+		const xml = new DOMParser().parseFromString(text, "application/xml");
+
+		pages = [...xml.getElementsByTagName("loc")].map(loc => loc.textContent.trim());
+	}
+
+	if(!Array.isArray(pages)) return[];
+
+	return pages
+		.map(page => typeof page === "string" ? { url: page, title: "" } : { url: page.url || page.loc || "", title: page.title || "" })
+		.filter(page => !!page.url)
+		.map(page => ({ url: toSiteUrl(page.url), title: page.title }));
+}
+
+function toSiteUrl (url){
+	try{
+		const parsed = new URL(url, window.location.href);
+
+		return parsed.origin === window.location.origin ? parsed.pathname + parsed.search + parsed.hash : url;
+	}catch (err){
+		return url;
+	}
+}
+
+/**
+ * Find the pages whose url or title contains a query. Pages starting with the query come first.
+ * @param {object[]} pages - The pages, as returned by parsePages.
+ * @param {string} query - What to search for.
+ * @param {number} [limit] - The maximum number of pages to return.
+ * @returns {object[]}
+ */
+export function searchPages (pages, query, limit = 10){
+	const search = query.trim().toLowerCase();
+	const rank = (page) => {
+		const url = page.url.toLowerCase();
+		const title = page.title.toLowerCase();
+
+		if(url.indexOf(search) === 0 || title.indexOf(search) === 0) return 0;
+
+		return url.indexOf(search) !== -1 || title.indexOf(search) !== -1 ? 1 : -1;
+	};
+
+	return pages
+		.map(page => ({ page, rank: rank(page) }))
+		.filter(result => result.rank !== -1)
+		.sort((a, b) => a.rank - b.rank)
+		.slice(0, limit)
+		.map(result => result.page);
+}
+
+/**
+ * Get the values the link dialog edits from a link.
+ * @param {HTMLAnchorElement|null} link - The link, or null for a new link.
+ * @param {string} [text] - The text of a new link, eg. the selected text.
+ * @returns {object} { href, text, title, newTab, nofollow }
+ */
+export function getLinkValues (link, text = ""){
+	const rel = link ? (link.getAttribute("rel") || "").split(/\s+/) : [];
+
+	return{
+		href: link ? link.getAttribute("href") || "" : "",
+		text: link ? link.textContent : text,
+		title: link ? link.getAttribute("title") || "" : "",
+		newTab: !!link && link.getAttribute("target") === "_blank",
+		nofollow: rel.indexOf("nofollow") !== -1
+	};
+}
+
+/**
+ * Set the attributes of a link from the values of the link dialog. Other values of rel are kept.
+ * @param {HTMLAnchorElement} link - The link.
+ * @param {object} values - The values, as returned by getLinkValues.
+ */
+export function setLinkAttributes (link, { href, title, newTab, nofollow }){
+	const managed = ["noopener", "noreferrer", "nofollow"];
+	const rel = (link.getAttribute("rel") || "").split(/\s+/).filter(value => value && managed.indexOf(value) === -1);
+
+	// Pages opened in a new tab must not get access to the page that opened them.
+	if(newTab)
+		rel.push("noopener", "noreferrer");
+
+	if(nofollow)
+		rel.push("nofollow");
+
+	const attributes = { href, title, target: newTab ? "_blank" : "", rel: rel.join(" ") };
+
+	for(let name of Object.keys(attributes))
+		if(attributes[name])
+			link.setAttribute(name, attributes[name]);
+		else
+			link.removeAttribute(name);
+}
+
+/**
+ * Open a dialog that edits a link: its URL, text, title and whether it opens in a new tab.
+ * @param {object} options - Options for the dialog.
+ * @param {object} options.locale - The texts of the dialog, the linkDialog part of the locale file.
+ * @param {object} options.labels - The texts of the buttons of the dialog, { cancel, close }.
+ * @param {object} options.values - The current values, as returned by getLinkValues.
+ * @param {function} options.validate - Called with the typed URL. Returns the URL to use, or null if it is not valid.
+ * @param {function} [options.search] - Called with the typed URL. Returns, or resolves to, pages to suggest.
+ * @returns {Promise<object|boolean>} The new values, or false if the dialog was cancelled.
+ */
+export async function openLinkDialog ({ locale, labels, values, validate, search = null }){
+	const suggest = async (query) => (await search(query)).map(page => ({ value: page.url, label: page.title || page.url }));
+	const result = await openDialog({
+		title: locale.title,
+		className: "cms-link-dialog",
+		labels: Object.assign({ submit: locale.submit }, labels),
+		fields: [
+			{ name: "href", label: locale.url, value: values.href, placeholder: locale.urlHint, suggest: search ? suggest : null },
+			{ name: "text", label: locale.text, value: values.text },
+			{ name: "title", label: locale.titleAttribute, value: values.title },
+			{ name: "newTab", label: locale.newTab, type: "checkbox", value: values.newTab },
+			{ name: "nofollow", label: locale.nofollow, type: "checkbox", value: values.nofollow }
+		],
+		validate: ({ href }) => validate(href) ? null : { href: locale.invalidUrl }
+	});
+
+	if(!result) return false;
+
+	return Object.assign(result, { href: validate(result.href), title: result.title.trim() });
+}
@@ -0,0 +1,289 @@
+/**
+ * The meta info that can be edited. Labels, hints, errors and the labels of options are keys of the meta part of the locale file.
+ * Each field has a get function that reads its value from the head of the page, and a set function that writes it,
+ * creating the tag if it is missing and removing it when the value is empty.
+ */
+const builtInFields = {
+	title: {
+		label: "pageTitle",
+		hint: "titleHint",
+		maxLength: 60,
+		get: () => document.title || "",
+		set: (value) => { document.title = value; }
+	},
+	description: Object.assign({ label: "pageDesc", hint: "descriptionHint", type: "textarea", maxLength: 160 }, tagField("meta", "name", "description", "content")),
+	keywords: Object.assign({ label: "pageKeywords" }, tagField("meta", "name", "keywords", "content")),
+	canonical: Object.assign({ label: "pageCanonical", type: "url" }, tagField("link", "rel", "canonical", "href")),
+	ogTitle: Object.assign({ label: "ogTitle", maxLength: 60 }, tagField("meta", "property", "og:title", "content")),
+	ogDescription: Object.assign({ label: "ogDescription", type: "textarea", maxLength: 200 }, tagField("meta", "property", "og:description", "content")),
+	ogImage: Object.assign({ label: "ogImage", type: "url" }, tagField("meta", "property", "og:image", "content")),
+	twitterCard: Object.assign({
+		label: "twitterCard",
+		type: "select",
+		options: [
+			{ value: "", label: "twitterCardNone" },
+			{ value: "summary", label: "twitterCardSummary" },
+			{ value: "summary_large_image", label: "twitterCardLarge" }
+		]
+	}, tagField("meta", "name", "twitter:card", "content")),
+	noindex: {
+		label: "noindex",
+		type: "checkbox",
+		get: () => getRobots().indexOf("noindex") !== -1,
+		set: (value) => {
+			const robots = getRobots().filter(token => token !== "noindex" && token !== "index");
+
+			if(value)
+				robots.push("noindex");
+
+			setTag("meta", "name", "robots", "content", robots.join(", "));
+		}
+	},
+	alternates: {
+		label: "alternates",
+		hint: "alternatesHint",
+		error: "invalidAlternates",
+		type: "textarea",
+		get: () => [...document.head.querySelectorAll("link[rel=\"alternate\"][hreflang]")]
+			.map(link => ({ hreflang: link.getAttribute("hreflang"), href: link.getAttribute("href") || "" })),
+		set: (alternates) => {
+			document.head.querySelectorAll("link[rel=\"alternate\"][hreflang]").forEach(link => link.remove());
+
+			for(let{ hreflang, href } of alternates){
+				const link = document.createElement("link");
+
+				link.setAttribute("rel", "alternate");
+				link.setAttribute("hreflang", hreflang);
+				link.setAttribute("href", href);
+				document.head.appendChild(link);
+			}
+		},
+		// Alternates are edited as lines of a language code and a URL, eg. "sv https://example.com/sv/".
+		format: (alternates) => alternates.map(({ hreflang, href }) => hreflang + " " + href).join("\n"),
+		parse: (text) => text.split("\n")
+			.map(line => line.trim().split(/\s+/))
+			.filter(parts => !!parts[0])
+			.map(([hreflang, href]) => ({ hreflang, href })),
+		validate: (text) => text.split("\n").every(line => !line.trim() || /^\S+\s+\S+$/.test(line.trim()))
+	},
+	jsonLd: {
+		label: "jsonLd",
+		hint: "jsonLdHint",
+		error: "invalidJson",
+		type: "textarea",
+		get: () => {
+			const script = document.head.querySelector("script[type=\"application/ld+json\"]");
+
+			return script ? script.textContent.trim() : "";
+		},
+		set: (value) => {
+			let script = document.head.querySelector("script[type=\"application/ld+json\"]");
+
+			if(!value && script)
+				script.remove();
+
+			if(!value) return;
+
+			if(!script){
+				script = document.createElement("script");
+				script.type = "application/ld+json";
+				document.head.appendChild(script);
+			}
+
+			script.textContent = value;
+		},
+		validate: (value) => {
+			try{
+				return!value.trim() || !!JSON.parse(value);
+			}catch (err){
+				return false;
+			}
+		}
+	}
+};
+
+// The meta info that is always kept track of, and saved, whether it can be edited or not.
+const baseFields = ["title", "description", "keywords", "canonical"];
+
+/**
+ * Get the definitions of meta fields from the metaFields option.
+ * @param {Array<string|object>} fields - Names of built-in fields, or definitions of custom fields.
+ * A custom field has a name and a label, and the name of the meta tag (meta), the property of the Open Graph tag (property),
+ * or functions to get and set its value. It can also have a type, a hint, a maxLength, options and a validate function, like the built-in fields.
+ * @returns {object[]}
+ */
+export function getMetaFields (fields){
+	return fields.map(field => {
+		if(typeof field === "string" && !builtInFields[field])
+			throw new TypeError(field + " is not a meta field");
+
+		if(typeof field === "string")
+			return Object.assign({ name: field }, builtInFields[field]);
+
+		const tag = field.meta ? tagField("meta", "name", field.meta, "content")
+			: field.property ? tagField("meta", "property", field.property, "content") : {};
+		const definition = Object.assign({}, tag, field);
+
+		if(!definition.name || !definition.get || !definition.set)
+			throw new TypeError("A meta field needs a name, and a meta tag name, a property or get and set functions");
+
+		return definition;
+	});
+}
+
+/**
+ * Get the meta info of the page.
+ * @param {object[]} [fields] - The meta fields, as returned by getMetaFields, to read on top of the title, description, keywords and canonical url.
+ * @returns {object} The values by the name of the field, and the url of the page.
+ */
+export function getMetaInfo (fields = []){
+	const meta = { url: window.location.pathname || "" };
+
+	for(let field of withBaseFields(fields))
+		meta[field.name] = field.get();
+
+	return meta;
+}
+
+/**
+ * Set the meta info of the page. Fields missing from the values are left as they are.
+ * @param {object[]} fields - The meta fields, as returned by getMetaFields.
+ * @param {object} values - The values by the name of the field.
+ */
+export function setMetaInfo (fields, values){
+	for(let field of withBaseFields(fields))
+		if(values[field.name] !== undefined)
+			field.set(values[field.name]);
+}
+
+/**
+ * Check whether two objects of meta info, as returned by getMetaInfo, are the same.
+ * @param {object} a - Meta info to compare.
+ * @param {object} b - Meta info to compare.
+ * @returns {boolean}
+ */
+export function isSameMeta (a, b){
+	const keys = Object.keys(Object.assign({}, a, b));
+
+	// Values can be arrays, eg. the alternates.
+	return keys.every(key => JSON.stringify(a[key]) === JSON.stringify(b[key]));
+}
+
+function withBaseFields (fields){
+	const names = fields.map(field => field.name);
+
+	return getMetaFields(baseFields.filter(name => names.indexOf(name) === -1)).concat(fields);
+}
+
+/**
+ * Render a preview of how the page is displayed as a search result, and as a card when it is shared on social media.
+ * Open Graph info falls back to the title and description, like it does on most sites.
+ * @param {object} meta - The meta info, by the name of the field.
+ * @param {object} locale - The meta part of the locale file.
+ * @returns {HTMLElement}
+ */
+export function renderMetaPreview (meta, locale){
+	const preview = document.createElement("div");
+	const title = meta.ogTitle || meta.title || "";
+	const description = meta.ogDescription || meta.description || "";
+	const url = meta.canonical || window.location.href;
+	const host = getHost(url);
+
+	preview.classList.add("cms-meta-preview");
+
+	preview.appendChild(createElement("p", "cms-meta-preview-label", locale.searchPreview));
+	preview.appendChild(createElement("div", "cms-search-preview", [
+		createElement("span", "url", host + getPath(url).replace(/\//g, " › ").replace(/ › $/, "")),
+		createElement("span", "title", truncate(meta.title || "", 60)),
+		createElement("span", "description", truncate(meta.description || "", 160))
+	]));
+
+	const card = createElement("div", "cms-social-preview", [
+		createElement("div", "text", [
+			createElement("span", "host", host),
+			createElement("span", "title", truncate(title, 70)),
+			createElement("span", "description", truncate(description, 100))
+		])
+	]);
+
+	if(meta.ogImage){
+		const image = document.createElement("img");
+
+		image.src = meta.ogImage;
+		image.alt = "";
+		card.prepend(image);
+	}
+
+	card.classList.toggle("large", meta.twitterCard !== "summary");
+	preview.appendChild(createElement("p", "cms-meta-preview-label", locale.socialPreview));
+	preview.appendChild(card);
+
+	return preview;
+}
+
+function createElement (tag, className, content){
+	const el = document.createElement(tag);
+
+	el.classList.add(className);
+
+	if(Array.isArray(content))
+		content.forEach(child => el.appendChild(child));
+	else
+		el.textContent = content;
+
+	return el;
+}
+
+function truncate (text, length){
+	return text.length > length ? text.slice(0, length - 1).trim() + "…" : text;
+}
+
+function getHost (url){
+	try{
+		return new URL(url, window.location.href).host;
+	}catch (err){
+		return window.location.host;
+	}
+}
+
+function getPath (url){
+	try{
+		return new URL(url, window.location.href).pathname;
+	}catch (err){
+		return"";
+	}
+}
+
+function getRobots (){
+	const robots = document.head.querySelector("meta[name=\"robots\"]");
+
+	return robots ? (robots.getAttribute("content") || "").split(",").map(token => token.trim().toLowerCase()).filter(token => !!token) : [];
+}
+
+function tagField (tag, attribute, key, valueAttribute){
+	return{
+		get: () => {
+			const el = document.head.querySelector(`${tag}[${attribute}="${key}"]`);
+
+			return el ? el.getAttribute(valueAttribute) || "" : "";
+		},
+		set: (value) => setTag(tag, attribute, key, valueAttribute, value)
+	};
+}
+
+function setTag (tag, attribute, key, valueAttribute, value){
+	let el = document.head.querySelector(`${tag}[${attribute}="${key}"]`);
+
+	if(!value && el)
+		el.remove();
+
+	if(!value) return;
+
+	if(!el){
+		el = document.createElement(tag);
+		el.setAttribute(attribute, key);
+		document.head.appendChild(el);
+	}
+
+	el.setAttribute(valueAttribute, value);
+}
@@ -0,0 +1,123 @@
+/**
+ * Show a notification at the bottom of the page.
+ * @param {object} options - Options for the notification.
+ * @param {string} options.message - The message to display.
+ * @param {string} [options.type] - The type of notification. Valid values are: "success", "warning" and "error".
+ * @param {string} [options.id] - Identifies the notification. A new notification replaces a visible one with the same id.
+ * @param {object[]} [options.actions] - Buttons to display in the notification.
+ * @param {string} options.actions.label - The text of the button.
+ * @param {function} options.actions.handler - The function that fires when the button is clicked. The notification is closed first.
+ * @param {string} [options.closeLabel] - The tooltip of the close button.
+ * @param {number} [options.duration] - Milliseconds until the notification hides itself. 0 keeps it until it is closed.
+ * @returns {function} A function that closes the notification.
+ */
+export function notify ({
+	message,
+	type = "success",
+	id = "",
+	actions = [],
+	closeLabel = "",
+	duration = 5000
+}){
+	const container = getContainer();
+	const notification = document.createElement("div");
+	const text = document.createElement("span");
+	const close = document.createElement("button");
+	let timeout = null;
+
+	if(id){
+		const existing = container.querySelector(`[data-id="${id}"]`);
+
+		if(existing)
+			existing.remove();
+
+		notification.dataset.id = id;
+	}
+
+	notification.classList.add("cms-notification", type);
+
+	// The container announces new notifications to screen readers, errors are announced right away.
+	if(type === "error")
+		notification.setAttribute("role", "alert");
+
+	text.textContent = message;
+	close.classList.add("close");
+	close.setAttribute("title", closeLabel);
+	close.setAttribute("aria-label", closeLabel);
+
+	notification.appendChild(text);
+
+	for(let action of actions){
+		const button = document.createElement("button");
+
+		button.classList.add("action");
+		button.textContent = action.label;
+		button.addEventListener("click", () => {
+			hide();
+			action.handler();
+		});
+
+		notification.appendChild(button);
+	}
+
+	notification.appendChild(close);
+	container.appendChild(notification);
+
+	function hide (){
+		clearTimeout(timeout);
+		notification.remove();
+	}
+
+	close.addEventListener("click", hide);
+
+	if(duration)
+		timeout = setTimeout(hide, duration);
+
+	return hide;
+}
+
+/**
+ * Close a notification.
+ * @param {string} id - The id of the notification to close.
+ */
+export function dismiss (id){
+	const notification = document.querySelector(`.cms-notifications [data-id="${id}"]`);
+
+	if(notification)
+		notification.remove();
+}
+
+/**
+ * Announce a message to screen readers, without displaying a notification.
+ * @param {string} message - The message to announce.
+ */
+export function announce (message){
+	const announcement = document.createElement("span");
+
+	announcement.classList.add("cms-announcement");
+	announcement.textContent = message;
+	getContainer().appendChild(announcement);
+
+	setTimeout(() => announcement.remove(), 5000);
+}
+
+/**
+ * Render the container of the notifications, unless it exists. Screen readers only announce notifications added to a container
+ * that was on the page before them, so render it before the first notification.
+ */
+export function renderNotifications (){
+	getContainer();
+}
+
+function getContainer (){
+	let container = document.querySelector(".cms-notifications");
+
+	if(!container){
+		container = document.createElement("div");
+		container.classList.add("cms-notifications");
+		container.setAttribute("aria-live", "polite");
+		document.body.appendChild(container);
+	}
+
+	return container;
+}
@@ -0,0 +1,292 @@
+// Elements that start a new paragraph, or list item, when pasted.
+const blockTags = [
+	"p", "div", "h1", "h2", "h3", "h4", "h5", "h6", "blockquote", "pre", "li", "dt", "dd",
+	"ul", "ol", "table", "tr", "section", "article", "header", "footer", "aside", "main", "nav", "figure"
+];
+
+// Elements whose content is never pasted.
+const ignoredTags = ["script", "style", "meta", "title", "head", "template", "noscript"];
+
+const headings = ["h1", "h2", "h3", "h4", "h5", "h6"];
+const lists = ["ul", "ol"];
+const formats = ["bold", "italic", "underline", "strike", "href"];
+
+/**
+ * Find what is being pasted into. That is the link or list item the caret is in, or otherwise the section itself.
+ * @param {Node} node - The node where the caret is.
+ * @param {HTMLElement} section - The editable element being pasted into.
+ * @returns {string} The tag name of the target, eg. "a", "li" or "h1".
+ */
+export function getPasteTarget (node, section){
+	let current = node && node.nodeType === Node.TEXT_NODE ? node.parentNode : node;
+
+	while(current && current !== section){
+		if(current.localName === "a" || current.localName === "li")
+			return current.localName;
+
+		current = current.parentNode;
+	}
+
+	return section.localName;
+}
+
+/**
+ * Convert pasted html into paragraphs with bold, italic, underlined, struck through and linked text, and lists.
+ * Everything else, such as styles, classes and layout elements, is left out.
+ * @param {string} html - The pasted html.
+ * @param {string} target - The tag name of what is pasted into, as returned by getPasteTarget.
+ * @returns {string} Html that fits in the target.
+ */
+export function convertHtml (html, target){
+	const template = document.createElement("template");
+	const state = { blocks: [], current: createBlock(), ordered: null };
+
+	template.innerHTML = html;
+	collectBlocks(template.content, {}, state);
+	flush(state);
+
+	return joinBlocks(state.blocks, target);
+}
+
+/**
+ * Convert pasted text into html. Empty lines separate paragraphs, other line breaks are kept as line breaks.
+ * When pasting into a list, every line becomes an item.
+ * @param {string} text - The pasted text.
+ * @param {string} target - The tag name of what is pasted into, as returned by getPasteTarget.
+ * @returns {string} Html that fits in the target.
+ */
+export function convertText (text, target){
+	const normalized = text.replace(/\r\n?/g, "\n");
+	const separator = lists.indexOf(target) !== -1 ? /\n/ : /\n\s*\n/;
+	const blocks = normalized.split(separator)
+		.filter(paragraph => paragraph.trim())
+		.map(paragraph => {
+			const block = createBlock();
+
+			paragraph.trim().split("\n").forEach((line, i) => {
+				if(i > 0)
+					block.runs.push({ br: true });
+
+				block.runs.push({ text: line });
+			});
+
+			return block;
+		});
+
+	return joinBlocks(blocks, target);
+}
+
+function createBlock (type = "p", ordered = false){
+	return{ type, ordered, runs: [] };
+}
+
+function collectBlocks (node, format, state){
+	const children = [...node.childNodes];
+
+	for(let child of children){
+		const name = child.localName;
+
+		if(child.nodeType === Node.TEXT_NODE){
+			state.current.runs.push(Object.assign({ text: child.data.replace(/\s+/g, " ") }, format));
+			continue;
+		}
+
+		if(child.nodeType !== Node.ELEMENT_NODE || ignoredTags.indexOf(name) !== -1) continue;
+
+		if(name === "br"){
+			state.current.runs.push({ br: true });
+			continue;
+		}
+
+		if(blockTags.indexOf(name) === -1){
+			collectBlocks(child, getFormat(child, format), state);
+			continue;
+		}
+
+		const enclosing = state.ordered;
+
+		flush(state);
+
+		if(name === "li"){
+			state.ordered = child.parentNode.localName === "ol";
+			state.current = createBlock("li", state.ordered);
+		}
+
+		collectBlocks(child, getFormat(child, format), state);
+		state.ordered = enclosing;
+		flush(state);
+	}
+}
+
+// Start a new block. Blocks in a list item, eg. the paragraph Google Docs puts in every item, are list items too.
+function flush (state){
+	const hasText = state.current.runs.some(run => run.text && run.text.trim());
+
+	if(hasText)
+		state.blocks.push(state.current);
+
+	state.current = state.ordered === null ? createBlock() : createBlock("li", state.ordered);
+}
+
+/**
+ * Find the formatting of an element, from its tag and its inline style. Styles take priority,
+ * since eg. Google Docs wraps everything in a <b> element with a normal font weight.
+ * @param {HTMLElement} el - The element.
+ * @param {object} parentFormat - The formatting of the parent element.
+ * @returns {object}
+ */
+function getFormat (el, parentFormat){
+	const format = Object.assign({}, parentFormat);
+	const name = el.localName;
+	const style = el.style || {};
+	const weight = style.fontWeight;
+	const decoration = (style.textDecoration || "") + " " + (style.textDecorationLine || "");
+
+	if(name === "b" || name === "strong")
+		format.bold = true;
+
+	if(name === "i" || name === "em")
+		format.italic = true;
+
+	if(name === "u" || name === "ins")
+		format.underline = true;
+
+	if(name === "s" || name === "strike" || name === "del")
+		format.strike = true;
+
+	if(name === "a" && el.getAttribute("href"))
+		format.href = el.getAttribute("href");
+
+	if(weight)
+		format.bold = weight === "bold" || weight === "bolder" || parseInt(weight) >= 600;
+
+	if(style.fontStyle)
+		format.italic = style.fontStyle === "italic" || style.fontStyle === "oblique";
+
+	if(decoration.indexOf("underline") !== -1)
+		format.underline = true;
+
+	if(decoration.indexOf("line-through") !== -1)
+		format.strike = true;
+
+	return format;
+}
+
+function joinBlocks (blocks, target){
+	if(target === "a")
+		return escapeHtml(blocks.map(block => getText(block)).join(" "));
+
+	if(headings.indexOf(target) !== -1)
+		return blocks.map(block => renderRuns(block.runs, true)).join(" ");
+
+	if(lists.indexOf(target) !== -1)
+		return blocks.map(block => `<li>${renderRuns(block.runs)}</li>`).join("");
+
+	if(target === "p" || target === "li")
+		return blocks.map(block => renderRuns(block.runs)).join("<br>");
+
+	return renderBlocks(blocks);
+}
+
+// Render blocks as paragraphs and lists, for targets that may contain them.
+function renderBlocks (blocks){
+	let html = "",
+		openList = null;
+
+	for(let block of blocks){
+		const list = block.type === "li" ? (block.ordered ? "ol" : "ul") : null;
+
+		if(openList && openList !== list){
+			html += `</${openList}>`;
+			openList = null;
+		}
+
+		if(list && !openList){
+			html += `<${list}>`;
+			openList = list;
+		}
+
+		html += list ? `<li>${renderRuns(block.runs)}</li>` : `<p>${renderRuns(block.runs)}</p>`;
+	}
+
+	if(openList)
+		html += `</${openList}>`;
+
+	return html;
+}
+
+function getText (block){
+	return block.runs.map(run => run.br ? " " : run.text).join("").replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Render runs of formatted text as html. Adjacent runs with the same formatting share their tags.
+ * @param {object[]} runs - The runs to render.
+ * @param {boolean} [singleLine] - Render line breaks as spaces, eg. in headings.
+ * @returns {string}
+ */
+function renderRuns (runs, singleLine = false){
+	const merged = [];
+
+	for(let run of runs){
+		const last = merged[merged.length - 1];
+
+		if(run.br){
+			merged.push(singleLine ? { text: " " } : run);
+			continue;
+		}
+
+		if(last && !last.br && isSameFormat(last, run))
+			last.text += run.text;
+		else
+			merged.push(Object.assign({}, run));
+	}
+
+	trimRuns(merged);
+
+	return merged.map(run => run.br ? "<br>" : wrapRun(run)).join("");
+}
+
+function trimRuns (runs){
+	const first = runs[0];
+	const last = runs[runs.length - 1];
+
+	if(first && !first.br)
+		first.text = first.text.replace(/^\s+/, "");
+
+	if(last && !last.br)
+		last.text = last.text.replace(/\s+$/, "");
+}
+
+function isSameFormat (a, b){
+	return formats.every(key => a[key] === b[key]);
+}
+
+function wrapRun (run){
+	let html = escapeHtml(run.text);
+
+	if(run.strike)
+		html = `<s>${html}</s>`;
+
+	if(run.underline)
+		html = `<u>${html}</u>`;
+
+	if(run.italic)
+		html = `<em>${html}</em>`;
+
+	if(run.bold)
+		html = `<strong>${html}</strong>`;
+
+	if(run.href)
+		html = `<a href="${escapeHtml(run.href)}">${html}</a>`;
+
+	return html;
+}
+
+function escapeHtml (text){
+	return text
+		.replace(/&/g, "&amp;")
+		.replace(/</g, "&lt;")
+		.replace(/>/g, "&gt;")
+		.replace(/"/g, "&quot;");
+}
@@ -0,0 +1,142 @@
+/**
+ * Keeps a floating element, eg. a toolbar, next to what it belongs to. It is placed below its anchor, or above it
+ * when there is more room there, and follows the anchor when the page scrolls, the window is resized or the content reflows.
+ * The floating element should have a fixed position, so that it doesn't depend on the containers of the anchor.
+ */
+class Positioner{
+	/**
+	 * Create a positioner. Nothing happens until it is started.
+	 * @param {HTMLElement} floating - The floating element.
+	 * @param {function} getAnchor - Returns the rectangle, relative to the viewport, to place the floating element next to.
+	 * @param {object} [options] - Options for the placement.
+	 * @param {number} [options.gap] - The space between the anchor and the floating element.
+	 * @param {number} [options.margin] - The smallest space between the floating element and the edges of the area it is placed in.
+	 * @param {function} [options.getBounds] - Returns the area, relative to the viewport, the floating element must stay in. Defaults to the viewport.
+	 */
+	constructor (floating, getAnchor, { gap = 10, margin = 5, getBounds = null } = {}){
+		this.floating = floating;
+		this.getAnchor = getAnchor;
+		this.gap = gap;
+		this.margin = margin;
+		this.getBounds = getBounds || (() => ({ top: 0, left: 0, bottom: window.innerHeight, right: window.innerWidth }));
+		this.listeners = [];
+		this.observer = null;
+		this.frame = null;
+		this.watched = null;
+	}
+
+	/**
+	 * Place the floating element, and keep placing it whenever its anchor may have moved.
+	 * @param {HTMLElement} [watched] - An element whose changes in size move the anchor, eg. the element being edited.
+	 */
+	start (watched){
+		const schedule = () => this.schedule();
+
+		this.stop();
+		this.watched = watched || null;
+
+		// Scroll events don't bubble, so listening while capturing catches scrolling in every container.
+		this._listen(window, "scroll", schedule, true);
+		this._listen(window, "resize", schedule);
+		this._listen(document, "selectionchange", schedule);
+
+		if(watched){
+			this._listen(watched, "input", schedule);
+
+			if(window.ResizeObserver){
+				this.observer = new window.ResizeObserver(schedule);
+				this.observer.observe(watched);
+			}
+		}
+
+		this.update();
+	}
+
+	/**
+	 * Stop following the anchor. Removes every listener added by start().
+	 */
+	stop (){
+		for(let{ target, type, handler, capture } of this.listeners)
+			target.removeEventListener(type, handler, capture);
+
+		if(this.observer)
+			this.observer.disconnect();
+
+		cancelAnimationFrame(this.frame);
+		this.listeners = [];
+		this.observer = null;
+		this.frame = null;
+		this.watched = null;
+	}
+
+	/**
+	 * Place the floating element once before the next repaint, however many times this is called until then.
+	 */
+	schedule (){
+		if(this.frame) return;
+
+		this.frame = requestAnimationFrame(() => {
+			this.frame = null;
+			this.update();
+		});
+	}
+
+	/**
+	 * Place the floating element next to its anchor. It is hidden while the anchor is outside of the bounds.
+	 */
+	update (){
+		const floating = this.floating;
+		const anchor = this.getAnchor();
+		const bounds = this.getBounds();
+
+		if(!anchor) return;
+
+		const visible = anchor.bottom > bounds.top && anchor.top < bounds.bottom;
+
+		floating.style.setProperty("visibility", visible ? "" : "hidden");
+
+		if(!visible) return;
+
+		const{ width, height } = floating.getBoundingClientRect();
+		const{ top, placement } = this._getTop(anchor, bounds, height);
+		const left = Math.max(bounds.left + this.margin, Math.min(anchor.left, bounds.right - width - this.margin));
+
+		floating.style.setProperty("top", top + "px");
+		floating.style.setProperty("left", left + "px");
+		floating.setAttribute("data-placement", placement);
+	}
+
+	/**
+	 * Find where to place the floating element vertically.
+	 * @param {DOMRect} anchor - The anchor.
+	 * @param {object} bounds - The area the floating element must stay in.
+	 * @param {number} height - The height of the floating element.
+	 * @returns {object} { top, placement } where the placement is "bottom" or "top".
+	 * @private
+	 */
+	_getTop (anchor, bounds, height){
+		const below = anchor.bottom + this.gap;
+		const above = anchor.top - this.gap - height;
+		const spaceBelow = bounds.bottom - this.margin - below;
+		const spaceAbove = above - bounds.top - this.margin;
+
+		if(spaceBelow >= height)
+			return{ top: below, placement: "bottom" };
+
+		if(spaceAbove >= 0)
+			return{ top: above, placement: "top" };
+
+		// The anchor is too tall for the floating element to fit next to it, so keep it inside the bounds on the side with the most room.
+		const placement = spaceBelow >= spaceAbove + height ? "bottom" : "top";
+		const top = Math.min(Math.max(placement === "bottom" ? below : above, bounds.top + this.margin), bounds.bottom - this.margin - height);
+
+		return{ top, placement };
+	}
+
+	_listen (target, type, handler, capture = false){
+		target.addEventListener(type, handler, capture);
+		this.listeners.push({ target, type, handler, capture });
+	}
+}
+
+export default Positioner;
@@ -0,0 +1,112 @@
+// Classes and attributes the editor adds to the page, that must not be copied to new items.
+const editorClasses = ["cms-editable", "cms-focusable", "outline", "cms-drop-before", "cms-drop-after"];
+
+/**
+ * Get the items of a repeatable container, which are all of its child elements except a template for new items.
+ * @param {HTMLElement} container - The repeatable container.
+ * @returns {HTMLElement[]}
+ */
+export function getItemElements (container){
+	return[...container.children].filter(child => child.localName !== "template");
+}
+
+/**
+ * Get the template new items of a repeatable container are created from, a <template> element in the container.
+ * @param {HTMLElement} container - The repeatable container.
+ * @returns {HTMLElement|null} The first element of the template.
+ */
+export function getItemTemplate (container){
+	const template = [...container.children].find(child => child.localName === "template");
+
+	return template ? template.content.firstElementChild : null;
+}
+
+/**
+ * Create a unique id for a new item.
+ * @returns {string}
+ */
+export function createItemId (){
+	return"item-" + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+}
+
+/**
+ * Check whether two lists of items are in the same order.
+ * @param {string[]} a - Ids of items.
+ * @param {string[]} b - Ids of items.
+ * @returns {boolean}
+ */
+export function isSameItems (a, b){
+	return a.length === b.length && a.every((id, i) => id === b[i]);
+}
+
+/**
+ * Get the ids of the items of a repeatable container, in their order.
+ * @param {object} container - The container, as stored by the CMS.
+ * @returns {string[]}
+ */
+export function getItemIds (container){
+	return container.items.map(item => item.id);
+}
+
+/**
+ * Check whether items are placed next to each other, rather than below each other.
+ * @param {HTMLElement[]} elements - The items.
+ * @returns {boolean}
+ */
+export function isHorizontal (elements){
+	if(elements.length < 2) return false;
+
+	return elements[0].getBoundingClientRect().top === elements[1].getBoundingClientRect().top;
+}
+
+/**
+ * Find the editable section an element is in, which is its top parent with an editable tag. Sections never contain
+ * repeatable containers, since the content of a section is edited as a whole, so the search stops at them.
+ * @param {HTMLElement} el - The element.
+ * @param {string[]} tags - The editable tags.
+ * @param {string} containerSelector - Matches repeatable containers.
+ * @returns {HTMLElement|null}
+ */
+export function findSectionElement (el, tags, containerSelector){
+	let top = null;
+
+	for(let current = el; current && current.localName !== "body"; current = current.parentElement){
+		if(current.matches(containerSelector) || current.querySelector(containerSelector)) break;
+
+		if(tags.indexOf(current.localName) !== -1)
+			top = current;
+	}
+
+	return top;
+}
+
+/**
+ * Copy an item, without what the editor has added to it. Ids in the copy get a suffix, so that they stay unique.
+ * @param {HTMLElement} item - The item, or template, to copy.
+ * @param {string} idAttribute - The attribute holding the id of a section.
+ * @param {string} suffix - Added to the ids in the copy.
+ * @returns {HTMLElement}
+ */
+export function cloneItem (item, idAttribute, suffix){
+	const clone = item.cloneNode(true);
+	const elements = [clone, ...clone.querySelectorAll("*")];
+
+	for(let el of elements){
+		const id = el.getAttribute(idAttribute);
+
+		// Sections are made focusable while editing, the copy becomes focusable when it is made a section.
+		if(el.classList.contains("cms-focusable"))
+			el.removeAttribute("tabindex");
+
+		el.classList.remove(...editorClasses);
+		el.removeAttribute("contenteditable");
+
+		if(el.hasAttribute("class") && !el.classList.length)
+			el.removeAttribute("class");
+
+		if(id)
+			el.setAttribute(idAttribute, `${id}-${suffix}`);
+	}
+
+	return clone;
+}
@@ -0,0 +1,89 @@
+/**
+ * Send a request to one of the CMS endpoints.
+ * @param {string} url - The endpoint to send the request to.
+ * @param {object} [options] - Options for the request.
+ * @param {string} [options.method] - The http method of the request.
+ * @param {*} [options.json] - Data that will be sent as json.
+ * @param {FormData} [options.body] - Data that will be sent as it is, eg. a file upload.
+ * @param {string|function} [options.auth] - The value of the Authorization header, or a function returning it. The function may return a promise.
+ * @param {object} [options.headers] - Extra headers to send with the request.
+ * @param {string} [options.credentials] - The credentials mode of the request, "omit", "same-origin" or "include".
+ * @param {function} [options.onProgress] - Called with a number between 0 and 1 as the request body is uploaded.
+ * @returns {Promise<{ ok: boolean, status: number, text: string }>}
+ */
+export async function request (url, {
+	method = "POST",
+	json,
+	body,
+	auth = "",
+	headers = {},
+	credentials = "same-origin",
+	onProgress = null
+} = {}){
+	const token = typeof auth === "function" ? await auth() : auth;
+	const allHeaders = Object.assign({}, headers);
+
+	if(json !== undefined)
+		allHeaders["Content-Type"] = "application/json";
+
+	if(token)
+		allHeaders.Authorization = token;
+
+	const options = {
+		method,
+		headers: allHeaders,
+		credentials,
+		body: json !== undefined ? JSON.stringify(json) : body
+	};
+
+	// Fetch can't report upload progress, so fall back to XMLHttpRequest when progress is needed.
+	if(onProgress)
+		return sendWithProgress(url, options, onProgress);
+
+	const response = await fetch(url, options);
+	const text = await response.text();
+
+	return{ ok: response.ok, status: response.status, text };
+}
+
+function sendWithProgress (url, { method, headers, credentials, body }, onProgress){
+	return new Promise((resolve, reject) => {
+		const xhr = new XMLHttpRequest();
+
+		xhr.open(method, url);
+		xhr.withCredentials = credentials === "include";
+
+		for(let name of Object.keys(headers))
+			xhr.setRequestHeader(name, headers[name]);
+
+		xhr.upload.addEventListener("progress", (e) => {
+			if(e.lengthComputable)
+				onProgress(e.loaded / e.total);
+		});
+
+		xhr.addEventListener("load", () => resolve({
+			ok: xhr.status >= 200 && xhr.status < 300,
+			status: xhr.status,
+			text: xhr.responseText
+		}));
+		xhr.addEventListener("error", () => reject(new TypeError("Network request failed")));
+
+		xhr.send(body);
+	});
+}
+
+/**
+ * Get the url of an uploaded file from the response of the upload endpoint.
+ * The server is expected to respond with the url, either as plain text or as JSON with a `url` property.
+ * @param {string} text - The body of the response.
+ * @returns {string}
+ */
+export function getUploadedUrl (text){
+	try{
+		const json = JSON.parse(text);
+
+		return typeof json === "string" ? json : json.url;
+	}catch (err){
+		return text.trim();
+	}
+}
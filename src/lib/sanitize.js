@@ -0,0 +1,113 @@
+/**
+ * The attributes that are allowed by default, by tag name. Attributes under "*" are allowed on every tag.
+ */
+export const defaultAttributes = {
+	"*": ["class", "id", "title", "lang", "dir", "data-*"],
+	a: ["href", "target", "rel"],
+	img: ["src", "alt", "width", "height"]
+};
+
+/**
+ * The URL schemes that are allowed in href and src attributes by default. Relative URLs are always allowed.
+ */
+export const defaultSchemes = ["http", "https", "mailto", "tel"];
+
+// Elements that are removed together with their content, instead of being replaced by it.
+const dropped = ["script", "style", "iframe", "frame", "object", "embed", "noscript", "template", "link", "meta", "title", "head", "form", "input", "button", "textarea", "select"];
+
+const urlAttributes = ["href", "src"];
+
+/**
+ * Remove everything that is not allowed from a piece of html.
+ * Elements that are not allowed are replaced by their content, except for elements such as script and style, which are removed completely.
+ * Event handler attributes, eg. onclick, are always removed.
+ * @param {string} html - The html to sanitize.
+ * @param {object} options - What is allowed.
+ * @param {string[]} options.tags - The names of the allowed tags.
+ * @param {object} [options.attributes] - The allowed attributes, by tag name. Attributes under "*" are allowed on every tag. A name ending with "*" allows every attribute starting with it.
+ * @param {string[]} [options.schemes] - The allowed URL schemes of href and src attributes.
+ * @returns {{ html: string, removed: object[] }} The sanitized html, and what was removed from it. Every removed element is described by type "element" and its name, every removed attribute by type "attribute", its name and the name of its element.
+ */
+export function sanitize (html, { tags, attributes = defaultAttributes, schemes = defaultSchemes }){
+	// The content of a template is inert, scripts don't run and images don't load.
+	const template = document.createElement("template");
+	const removed = [];
+
+	template.innerHTML = html;
+	cleanChildren(template.content, { tags, attributes, schemes }, removed);
+
+	return{ html: template.innerHTML, removed };
+}
+
+function cleanChildren (node, options, removed){
+	const children = [...node.childNodes];
+
+	for(let child of children){
+		const name = child.localName;
+
+		if(child.nodeType === Node.COMMENT_NODE){
+			child.remove();
+			continue;
+		}
+
+		if(child.nodeType !== Node.ELEMENT_NODE) continue;
+
+		if(dropped.indexOf(name) !== -1){
+			removed.push({ type: "element", name });
+			child.remove();
+			continue;
+		}
+
+		cleanChildren(child, options, removed);
+
+		if(options.tags.indexOf(name) === -1){
+			removed.push({ type: "element", name });
+			child.replaceWith(...child.childNodes);
+			continue;
+		}
+
+		cleanAttributes(child, options, removed);
+	}
+}
+
+function cleanAttributes (el, { attributes, schemes }, removed){
+	const tag = el.localName;
+	const elAttributes = [...el.attributes];
+
+	for(let{ name, value } of elAttributes){
+		const isHandler = name.indexOf("on") === 0;
+		const isUnsafeUrl = urlAttributes.indexOf(name) !== -1 && !isAllowedUrl(value, schemes);
+
+		if(isHandler || isUnsafeUrl || !isAllowedAttribute(tag, name, attributes)){
+			removed.push({ type: "attribute", name, tag });
+			el.removeAttribute(name);
+		}
+	}
+}
+
+function isAllowedAttribute (tag, name, attributes){
+	const allowed = (attributes[tag] || []).concat(attributes["*"] || []);
+
+	return allowed.some(pattern => {
+		if(pattern.slice(-1) === "*")
+			return name.indexOf(pattern.slice(0, -1)) === 0;
+
+		return pattern === name;
+	});
+}
+
+/**
+ * Check whether a URL is relative or uses one of the allowed schemes.
+ * @param {string} url - The URL to check.
+ * @param {string[]} schemes - The allowed schemes.
+ * @returns {boolean}
+ */
+export function isAllowedUrl (url, schemes){
+	// Browsers ignore whitespace and control characters in URLs, eg. "java\tscript:", so they can't be used to hide a scheme.
+	const cleanUrl = [...url].filter(char => char.charCodeAt(0) > 32).join("");
+	const match = cleanUrl.match(/^([a-z][a-z0-9+.-]*):/i);
+
+	if(!match) return true;
+
+	return schemes.indexOf(match[1].toLowerCase()) !== -1;
+}
@@ -1,22 +1,5 @@
 import cookies from "browser-cookies";
 
-export function getMetaInfo (){
-	const head = document.querySelector("head");
-	const canonical = head.querySelector("link[rel=\"canonical\"]");
-	const keywords = head.querySelector("meta[name=\"keywords\"]");
-	const description = head.querySelector("meta[name=\"description\"]");
-
-	const meta = {
-		url: window.location.pathname || "",
-		title: document.title || "",
-		description: description === null ? "" : description.getAttribute("content"),
-		keywords: keywords === null ? "" : keywords.getAttribute("content"),
-		canonical: canonical === null ? "" : canonical.getAttribute("href")
-	};
-
-	return meta;
-}
-
 /**
  * Gets the full selector path to an element. eg. body main section.hero h1.
  * @param {HTMLElement} el - The element to find the path of.
@@ -108,11 +91,20 @@ export function findSection (element, sections){
 			return section;
 }
 
+/**
+ * Get the key that identifies a section on the page, its id if it has one, otherwise its selector path.
+ * @param {object} section - The section to get the key of.
+ * @returns {string}
+ */
+export function getSectionKey (section){
+	return section.id || section.path;
+}
+
 export function findChangedSections (sections){
 	const changed = [];
 
 	for(let section of sections)
-		if(section.edited_text !== section.saved_text)
+		if(section.edited_text !== section.saved_text || section.edited_tag !== section.saved_tag)
 			changed.push(section);
 
 	return changed;
@@ -168,108 +160,176 @@ export function appendTools (tools, toolbar){
 }
 
 /**
- * Save position of text selection.
+ * Save the position of the text selection. While a prompt is open the saved selection is highlighted,
+ * in browsers supporting the CSS highlight API.
+ * @param {boolean} [highlight=true] - Whether to highlight the saved selection until it is applied.
+ * @returns {Range|null} A copy of the selected range.
  */
-export function saveSelection (){
-	document.execCommand("backColor", false, "#ccc");
-
-	if(window.getSelection) {
-		var sel = window.getSelection();
-		if(sel.getRangeAt && sel.rangeCount)
-			return sel.getRangeAt(0);
-	}else if(document.selection && document.selection.createRange) {
-		return document.selection.createRange();
-	}
-	return null;
+export function saveSelection (highlight = true){
+	const selection = window.getSelection();
+
+	if(!selection || !selection.rangeCount) return null;
+
+	const range = selection.getRangeAt(0).cloneRange();
+
+	if(highlight && window.CSS && CSS.highlights && window.Highlight)
+		CSS.highlights.set("cms-selection", new window.Highlight(range));
+
+	return range;
 }
 
 /**
- * Apply a saved selection.
+ * Apply a saved selection, and remove its highlight.
  * @param {Range} range - A range object
  */
 export function applySelection (range){
-	if(range)
-		if(window.getSelection) {
-			var sel = window.getSelection();
-			sel.removeAllRanges();
-			sel.addRange(range);
-		}else if(document.selection && range.select) {
-			range.select();
-		}
+	const selection = window.getSelection();
 
-	document.execCommand("backColor", false, "rgba(0,0,0,0)");
+	if(range && selection){
+		selection.removeAllRanges();
+		selection.addRange(range);
+	}
+
+	if(window.CSS && CSS.highlights)
+		CSS.highlights.delete("cms-selection");
 }
 
 /**
- * Show an input prompt to the user.
- * @param {string} msg - The message to display to the user
- * @param {string} type - The type of prompt. Valid values are: "link" and "image"
- * @returns {string|File} Depending on the type of input, the return type could be a string or a File object.
+ * Get the first image file from a DataTransfer object, eg. from a drop event.
+ * @param {DataTransfer} dataTransfer - The DataTransfer object to look in.
+ * @returns {File|undefined}
  */
-export async function promptUser (titleText, type){
-	return new Promise(resolve => {
-		const prompt = document.querySelector(".cms-prompt-container");
-		const input = prompt.querySelector("input");
-		const submit = prompt.querySelector("button");
-		const title = prompt.querySelector("h3");
+export function getImageFile (dataTransfer){
+	if(!dataTransfer || !dataTransfer.files) return;
 
-		prompt.classList.add("show");
-		title.innerText = titleText;
+	return[...dataTransfer.files].find(file => file.type.indexOf("image/") === 0);
+}
 
-		input.addEventListener("keyup", (e) => submitPrompt(e));
-		submit.addEventListener("click", (e) => submitPrompt(e));
-		window.addEventListener("keyup", (e) => cancelPrompt(e));
+/**
+ * Render a progress bar at the bottom of the page.
+ * @param {string} label - The text to display next to the progress bar.
+ * @returns {{ update: function, remove: function }} Functions to update the progress (0 to 1) and to remove the progress bar.
+ */
+export function renderProgress (label){
+	const container = document.createElement("div");
+	const text = document.createElement("span");
+	const bar = document.createElement("progress");
 
-		function submitPrompt (e){
-			const key = e.key;
-			const type = e.type;
-			const value = input.value;
+	container.classList.add("cms-progress");
+	text.innerText = label;
+	bar.max = 1;
+	bar.value = 0;
 
-			if(key !== "Enter" && type !== "click") return;
+	container.appendChild(text);
+	container.appendChild(bar);
+	document.body.appendChild(container);
 
-			hidePrompt();
-			resolve(value);
-		}
+	return{
+		update: (value) => { bar.value = value; },
+		remove: () => container.remove()
+	};
+}
 
-		function cancelPrompt (e){
-			const key = e.key;
+/**
+ * Get a range at a point on the screen, eg. where something was dropped.
+ * @param {number} x - The horizontal position in the viewport.
+ * @param {number} y - The vertical position in the viewport.
+ * @returns {Range|null}
+ */
+export function getRangeFromPoint (x, y){
+	if(document.caretRangeFromPoint)
+		return document.caretRangeFromPoint(x, y);
 
-			if(key === "Escape"){
-				hidePrompt();
-				resolve(false);
-			}
-		}
+	if(document.caretPositionFromPoint){
+		const position = document.caretPositionFromPoint(x, y);
+		const range = document.createRange();
 
-		input.focus();
-	});
+		if(!position) return null;
+
+		range.setStart(position.offsetNode, position.offset);
+		range.collapse(true);
+
+		return range;
+	}
+
+	return null;
 }
 
-function hidePrompt (){
-	const prompt = document.querySelector(".cms-prompt-container");
+/**
+ * Check whether the editor runs on a Mac, where the command key is used instead of ctrl.
+ * @returns {boolean}
+ */
+export function isMac (){
+	const platform = navigator.platform || navigator.userAgent;
+
+	const pattern = /Mac|iPhone|iPad/;
 
-	prompt.classList.remove("show");
+	return pattern.test(platform);
 }
 
-export function renderGhostPrompt (locale){
-	const body = document.body;
-	const container = document.createElement("div");
-	const prompt = document.createElement("div");
-	const title = document.createElement("h3");
-	const input = document.createElement("input");
-	const submit = document.createElement("button");
+/**
+ * Convert a keyboard shortcut to the combo matched against key presses, with the modifiers in a fixed order.
+ * The "mod" modifier is the command key on a Mac and ctrl elsewhere.
+ * @param {string|string[]} shortcut - The shortcut, eg. "shift+mod+K" or ["mod", "shift", "k"].
+ * @returns {string[]} The combo, eg. ["ctrl", "shift", "k"].
+ */
+export function parseShortcut (shortcut){
+	const modifiers = ["ctrl", "meta", "shift", "alt"];
+	const mod = isMac() ? "meta" : "ctrl";
+	const keys = (typeof shortcut === "string" ? shortcut.split("+") : shortcut)
+		.map(key => key.trim().toLowerCase())
+		.map(key => key === "mod" ? mod : key);
+	const combo = modifiers.filter(modifier => keys.indexOf(modifier) !== -1);
+
+	return combo.concat(keys.filter(key => modifiers.indexOf(key) === -1));
+}
+
+/**
+ * Get the combo of a key press, in the same form as parseShortcut.
+ * Shift is left out for symbols, since it is part of typing them on many keyboard layouts, eg. "?".
+ * @param {KeyboardEvent} e - The keydown event.
+ * @returns {string[]} The combo, empty if the event has no key, eg. when the browser autofills a field.
+ */
+export function getEventCombo (e){
+	const combo = [];
+	// With alt, the key of a letter is a special character on a Mac.
+	let key = e.altKey && /^Key[A-Z]$/.test(e.code) ? e.code.slice(3) : e.key;
+
+	if(!key) return combo;
+
+	key = key.toLowerCase();
+
+	if(e.ctrlKey)
+		combo.push("ctrl");
 
-	container.classList.add("cms-prompt-container");
-	prompt.classList.add("cms-prompt");
+	if(e.metaKey)
+		combo.push("meta");
 
-	title.innerText = "Lorem ipsum";
-	submit.innerText = locale.prompt.submit;
+	if(e.shiftKey && /^[a-z0-9]/.test(key))
+		combo.push("shift");
 
-	prompt.appendChild(title);
-	prompt.appendChild(input);
-	prompt.appendChild(submit);
-	container.appendChild(prompt);
+	if(e.altKey)
+		combo.push("alt");
 
-	body.appendChild(container);
+	combo.push(key);
+
+	return combo;
+}
+
+/**
+ * Display a combo the way shortcuts are written on the platform, eg. "Ctrl+Shift+Z" or "⇧⌘Z".
+ * @param {string[]} combo - The combo.
+ * @returns {string}
+ */
+export function formatShortcut (combo){
+	const mac = { ctrl: "⌃", alt: "⌥", shift: "⇧", meta: "⌘" };
+	const others = { ctrl: "Ctrl", alt: "Alt", shift: "Shift", meta: "Win" };
+	const names = isMac() ? mac : others;
+	const order = isMac() ? ["ctrl", "alt", "shift", "meta"] : ["ctrl", "meta", "alt", "shift"];
+	const modifiers = order.filter(modifier => combo.indexOf(modifier) !== -1).map(modifier => names[modifier]);
+	const keys = combo.filter(key => !names[key]).map(key => key.length === 1 ? key.toUpperCase() : key[0].toUpperCase() + key.slice(1));
+
+	return modifiers.concat(keys).join(isMac() ? "" : "+");
 }
 
 export function getShortcut (shortcuts, combo){
@@ -303,3 +363,27 @@ export function getCookie (name){
 
 	return cookies[name];
 }
+
+/**
+ * Get a value stored in localStorage.
+ * @param {string} key - The key the value is stored under.
+ * @returns {*} The value, or null if there is no value or storage is unavailable.
+ */
+export function getStoredValue (key){
+	try{
+		return JSON.parse(localStorage.getItem(key));
+	}catch (err){
+		return null;
+	}
+}
+
+/**
+ * Store a value in localStorage. Nothing is stored if storage is full or unavailable.
+ * @param {string} key - The key to store the value under.
+ * @param {*} value - The value to store, it has to be possible to convert to JSON.
+ */
+export function setStoredValue (key, value){
+	try{
+		localStorage.setItem(key, JSON.stringify(value));
+	}catch (err){}
+}
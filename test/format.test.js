@@ -0,0 +1,211 @@
+import { formats, toggleFormat, applyFormat, removeFormat, isFormatActive } from "../src/lib/format";
+
+/**
+ * Create an editable element with some content.
+ * @param {string} html - The content of the element.
+ * @returns {HTMLElement}
+ */
+function createRoot (html){
+	const root = document.createElement("div");
+
+	root.innerHTML = html;
+	document.body.appendChild(root);
+
+	return root;
+}
+
+/**
+ * Find the text node with some text in an element.
+ * @param {HTMLElement} root - The element to search.
+ * @param {string} data - The text of the node.
+ * @returns {Text}
+ */
+function findText (root, data){
+	const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+	let node = walker.nextNode();
+
+	while(node && node.data !== data)
+		node = walker.nextNode();
+
+	return node;
+}
+
+/**
+ * Create a range from an offset in one text node to an offset in another.
+ * @param {HTMLElement} root - The element the text is in.
+ * @param {string} start - The text of the node the range starts in.
+ * @param {number} startOffset - The offset in the start node.
+ * @param {string} end - The text of the node the range ends in.
+ * @param {number} endOffset - The offset in the end node.
+ * @returns {Range}
+ */
+function select (root, start, startOffset, end, endOffset){
+	const range = document.createRange();
+
+	range.setStart(findText(root, start), startOffset);
+	range.setEnd(findText(root, end), endOffset);
+
+	return range;
+}
+
+afterEach(() => {
+	document.body.innerHTML = "";
+});
+
+describe("toggleFormat", () => {
+	test("formats the word around a collapsed range", () => {
+		const root = createRoot("Some bold text");
+		const range = select(root, "Some bold text", 7, "Some bold text", 7);
+
+		expect(toggleFormat(range, formats.bold, root)).toBe(true);
+		expect(root.innerHTML).toBe("Some <strong>bold</strong> text");
+		expect(range.toString()).toBe("bold");
+	});
+
+	test("does nothing when a collapsed range is not in a word", () => {
+		const root = createRoot("Some  text");
+		const range = select(root, "Some  text", 5, "Some  text", 5);
+
+		expect(toggleFormat(range, formats.bold, root)).toBe(false);
+		expect(root.innerHTML).toBe("Some  text");
+	});
+
+	test("applies the format to all text when only part of it has the format", () => {
+		const root = createRoot("ab<strong>cd</strong>ef");
+		const range = select(root, "ab", 1, "ef", 1);
+
+		toggleFormat(range, formats.bold, root);
+
+		expect(root.innerHTML).toBe("a<strong>bcde</strong>f");
+		expect(range.toString()).toBe("bcde");
+	});
+
+	test("removes the format when all text has it, through nested marks", () => {
+		const root = createRoot("<strong>ab<em>cd</em></strong>");
+		const range = select(root, "ab", 0, "cd", 2);
+
+		expect(isFormatActive(range, formats.bold, root)).toBe(true);
+
+		toggleFormat(range, formats.bold, root);
+
+		expect(root.innerHTML).toBe("ab<em>cd</em>");
+		expect(isFormatActive(range, formats.bold, root)).toBe(false);
+	});
+
+	test("recognizes the other tags of a format", () => {
+		const root = createRoot("<b>bold</b> text");
+		const range = select(root, "bold", 0, "bold", 4);
+
+		toggleFormat(range, formats.bold, root);
+
+		expect(root.innerHTML).toBe("bold text");
+	});
+
+	test("removes a format that the new format excludes", () => {
+		const root = createRoot("x<sub>2</sub>");
+		const range = select(root, "2", 0, "2", 1);
+
+		toggleFormat(range, formats.superscript, root);
+
+		expect(root.innerHTML).toBe("x<sup>2</sup>");
+	});
+});
+
+describe("merging", () => {
+	test("merges formatted elements that become adjacent", () => {
+		const root = createRoot("<strong>a</strong>b<strong>c</strong>");
+		const range = select(root, "b", 0, "b", 1);
+
+		applyFormat(range, formats.bold, root);
+
+		expect(root.innerHTML).toBe("<strong>abc</strong>");
+		expect(range.toString()).toBe("b");
+	});
+
+	test("wraps completely selected nested marks instead of the text in them", () => {
+		const root = createRoot("a<em>b<u>c</u></em>d");
+		const range = select(root, "a", 0, "d", 1);
+
+		applyFormat(range, formats.bold, root);
+
+		expect(root.innerHTML).toBe("<strong>a<em>b<u>c</u></em>d</strong>");
+	});
+
+	test("doesn't wrap text that already has the format twice", () => {
+		const root = createRoot("a<em><strong>b</strong></em>c");
+		const range = select(root, "a", 0, "c", 1);
+
+		applyFormat(range, formats.bold, root);
+
+		expect(root.querySelectorAll("strong").length).toBe(1);
+		expect(root.innerHTML).toBe("<strong>a<em>b</em>c</strong>");
+	});
+
+	test("doesn't merge links to different URLs", () => {
+		const root = createRoot("<a href=\"/a\">a</a><a href=\"/b\">b</a>");
+		const range = select(root, "a", 0, "a", 1);
+
+		applyFormat(range, formats.bold, root);
+
+		expect(root.querySelectorAll("a").length).toBe(2);
+	});
+
+	test("never merges across blocks", () => {
+		const root = createRoot("<ul><li>one</li><li>two</li></ul>");
+		const range = select(root, "one", 0, "two", 3);
+
+		applyFormat(range, formats.bold, root);
+
+		expect(root.innerHTML).toBe("<ul><li><strong>one</strong></li><li><strong>two</strong></li></ul>");
+	});
+});
+
+describe("splitting", () => {
+	test("splits a formatted element around the selected text", () => {
+		const root = createRoot("<strong>abcdef</strong>");
+		const range = select(root, "abcdef", 2, "abcdef", 4);
+
+		removeFormat(range, formats.bold, root);
+
+		expect(root.innerHTML).toBe("<strong>ab</strong>cd<strong>ef</strong>");
+		expect(range.toString()).toBe("cd");
+	});
+
+	test("keeps nested marks when the format around them is split", () => {
+		const root = createRoot("<strong>ab <em>cd</em> ef</strong>");
+		const range = select(root, "cd", 0, "cd", 2);
+
+		removeFormat(range, formats.bold, root);
+
+		expect(root.innerHTML).toBe("<strong>ab </strong><em>cd</em><strong> ef</strong>");
+	});
+
+	test("splits the format inside a partly selected nested mark", () => {
+		const root = createRoot("<strong>ab<em>cd</em>ef</strong>");
+		const range = select(root, "ab", 1, "cd", 1);
+
+		removeFormat(range, formats.bold, root);
+
+		expect(root.innerHTML).toBe("<strong>a</strong>b<em>c<strong>d</strong></em><strong>ef</strong>");
+		expect(range.toString()).toBe("bc");
+	});
+
+	test("removes the format from every level of nesting", () => {
+		const root = createRoot("<strong>a<em><b>b</b></em>c</strong>");
+		const range = select(root, "a", 0, "c", 1);
+
+		removeFormat(range, formats.bold, root);
+
+		expect(root.innerHTML).toBe("a<em>b</em>c");
+	});
+
+	test("applies the format to part of a nested mark", () => {
+		const root = createRoot("a<em>bc</em>d");
+		const range = select(root, "a", 0, "bc", 1);
+
+		applyFormat(range, formats.bold, root);
+
+		expect(root.innerHTML).toBe("<strong>a</strong><em><strong>b</strong>c</em>d");
+		expect(range.toString()).toBe("ab");
+	});
+});
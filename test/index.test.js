@@ -0,0 +1,217 @@
+import CMS from "../src/index";
+
+/**
+ * Create a page and start a CMS on it.
+ * @param {string} html - The content of the page.
+ * @param {object} [options] - Options for the CMS.
+ * @returns {CMS}
+ */
+function createCMS (html, options = {}){
+	document.body.innerHTML = html;
+
+	const cms = new CMS(Object.assign({ autosave: { interval: 0 } }, options));
+
+	cms.run();
+
+	return cms;
+}
+
+/**
+ * Type in a section, as if the text had been entered by the user.
+ * @param {HTMLElement} el - The section.
+ * @param {string} html - The new content of the section.
+ */
+function type (el, html){
+	el.innerHTML = html;
+	el.dispatchEvent(new Event("input", { bubbles: true }));
+}
+
+/**
+ * Press a key combination on an element.
+ * @param {HTMLElement} el - The element that has the focus.
+ * @param {string} key - The key.
+ * @param {object} [modifiers] - The modifier keys that are held down, eg. { ctrlKey: true }.
+ * @returns {KeyboardEvent} The event, to check whether it was handled.
+ */
+function press (el, key, modifiers = {}){
+	const e = new KeyboardEvent("keydown", Object.assign({ key, bubbles: true, cancelable: true }, modifiers));
+
+	el.dispatchEvent(e);
+
+	return e;
+}
+
+let cms = null;
+
+beforeAll(() => {
+	// jsdom doesn't lay out the page.
+	HTMLElement.prototype.scrollIntoView = () => {};
+	Range.prototype.getClientRects = () => [];
+	Range.prototype.getBoundingClientRect = () => ({ top: 0, left: 0, bottom: 0, right: 0, width: 0, height: 0 });
+});
+
+beforeEach(() => {
+	localStorage.clear();
+	global.fetch = jest.fn(() => Promise.resolve({ ok: true, status: 200, text: () => Promise.resolve("") }));
+});
+
+afterEach(() => {
+	if(cms) cms.destroy();
+
+	cms = null;
+	document.body.innerHTML = "";
+});
+
+describe("shortcuts", () => {
+	test("undoes the edits of a section", () => {
+		cms = createCMS("<p data-cms-id=\"intro\">Hello</p>");
+		const el = document.querySelector("p");
+
+		el.click();
+		type(el, "Hello world");
+
+		const e = press(el, "z", { ctrlKey: true });
+
+		expect(e.defaultPrevented).toBe(true);
+		expect(el.innerHTML).toBe("Hello");
+	});
+
+	test("leaves undo and redo in a field on the page to the browser", () => {
+		cms = createCMS("<p data-cms-id=\"intro\">Hello</p><input type=\"text\"><textarea></textarea>");
+		const el = document.querySelector("p");
+
+		el.click();
+		type(el, "Hello world");
+
+		for(let field of document.querySelectorAll("input, textarea")){
+			const undo = press(field, "z", { ctrlKey: true });
+			const redo = press(field, "z", { ctrlKey: true, shiftKey: true });
+
+			expect(undo.defaultPrevented).toBe(false);
+			expect(redo.defaultPrevented).toBe(false);
+		}
+
+		expect(el.innerHTML).toBe("Hello world");
+	});
+});
+
+describe("destroy", () => {
+	test("abandons a save that is in progress", async () => {
+		let respond = null;
+
+		global.fetch = jest.fn(() => new Promise(resolve => {
+			respond = () => resolve({ ok: true, status: 200, text: () => Promise.resolve("") });
+		}));
+		cms = createCMS("<p data-cms-id=\"intro\">Hello</p>");
+		const el = document.querySelector("p");
+
+		el.click();
+		type(el, "Hello world");
+
+		const saved = cms.save();
+
+		await Promise.resolve();
+		cms.destroy();
+		respond();
+
+		await expect(saved).resolves.toBe(true);
+		expect(global.fetch).toHaveBeenCalledTimes(1);
+	});
+
+	test("removes the attributes it added to the body", async () => {
+		cms = createCMS("<p data-cms-id=\"intro\">Hello</p>");
+		const el = document.querySelector("p");
+
+		el.click();
+		type(el, "Hello world");
+		await cms.save();
+		cms.destroy();
+
+		expect(document.body.hasAttribute("style")).toBe(false);
+		expect(document.body.hasAttribute("class")).toBe(false);
+	});
+});
+
+describe("repeatable items", () => {
+	test("identifies a new item that is a section itself by the id of its section", async () => {
+		cms = createCMS(
+			"<ul data-cms-repeat=\"faq\"><template><li>New</li></template><li data-cms-id=\"first\">First</li></ul>"
+		);
+		const first = document.querySelector("li[data-cms-id=first]");
+
+		first.dispatchEvent(new MouseEvent("mouseover", { bubbles: true }));
+		document.querySelector(".cms-item-toolbar .cms-addItem").click();
+
+		const added = first.nextElementSibling;
+
+		await cms.save();
+
+		const data = JSON.parse(global.fetch.mock.calls[0][1].body);
+		const ids = data.structure[0].items.map(item => item.id);
+
+		expect(ids).toEqual(["first", added.getAttribute("data-cms-id")]);
+		expect(data.structure[0].items[1].sections).toEqual([added.getAttribute("data-cms-id")]);
+
+		// The page is loaded again with the saved markup.
+		cms.destroy();
+		cms = createCMS(document.body.innerHTML);
+
+		expect(cms.containers[0].items.map(item => item.id)).toEqual(ids);
+	});
+
+	test("puts items back where they were when a change is undone", () => {
+		const html = "<ul data-cms-repeat=\"faq\"><li data-cms-id=\"a\">A</li><li data-cms-id=\"b\">B</li><template><li>New</li></template></ul>";
+
+		cms = createCMS(html);
+		const list = document.querySelector("ul");
+		const getChildren = () => [...list.children].map(child => child.getAttribute("data-cms-id") || child.localName);
+
+		document.querySelector("li[data-cms-id=b]").dispatchEvent(new MouseEvent("mouseover", { bubbles: true }));
+		document.querySelector(".cms-item-toolbar .cms-deleteItem").click();
+
+		expect(getChildren()).toEqual(["a", "template"]);
+
+		cms.undo();
+
+		expect(getChildren()).toEqual(["a", "b", "template"]);
+
+		cms.redo();
+		cms.undo();
+
+		expect(getChildren()).toEqual(["a", "b", "template"]);
+	});
+});
+
+describe("autosave", () => {
+	test("saves every minute when the option is true", () => {
+		expect(new CMS({ autosave: true }).autosave).toEqual({ interval: 60 * 1000, idle: 0, blur: false });
+	});
+
+	test("only saves when asked to when the option is false", () => {
+		expect(new CMS({ autosave: false }).autosave).toEqual({ interval: 0, idle: 0, blur: false });
+	});
+
+	test("rejects other values", () => {
+		expect(() => new CMS({ autosave: 5000 })).toThrow(TypeError);
+	});
+});
+
+describe("tools", () => {
+	test("disables the image tool when images are not allowed", () => {
+		cms = createCMS("<p data-cms-id=\"intro\">Hello</p>", { sanitize: { tags: ["p", "a", "strong", "em"] } });
+		const el = document.querySelector("p");
+
+		el.click();
+
+		expect(document.querySelector(".local-toolbar .cms-image").disabled).toBe(true);
+	});
+
+	test("enables the image tool when images are allowed", () => {
+		cms = createCMS("<p data-cms-id=\"intro\">Hello</p>");
+		const el = document.querySelector("p");
+
+		el.click();
+
+		expect(document.querySelector(".local-toolbar .cms-image").disabled).toBe(false);
+	});
+});
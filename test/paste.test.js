@@ -0,0 +1,79 @@
+import { convertHtml, convertText } from "../src/lib/paste";
+
+describe("convertHtml", () => {
+	test("converts Word markup into plain paragraphs", () => {
+		const html = [
+			"<html xmlns:o=\"urn:schemas-microsoft-com:office:office\"><head>",
+			"<meta name=\"Generator\" content=\"Microsoft Word 15\">",
+			"<style>p.MsoNormal{margin:0cm;}</style>",
+			"</head><body lang=\"EN-US\">",
+			"<!--StartFragment-->",
+			"<p class=\"MsoNormal\"><b><span style=\"font-family:Calibri\">Bold</span></b><span style=\"font-family:Calibri\"> and ",
+			"<i>italic</i><o:p></o:p></span></p>",
+			"<p class=\"MsoNormal\"><span style=\"font-family:Calibri\">Second<o:p>&nbsp;</o:p></span></p>",
+			"<!--EndFragment-->",
+			"</body></html>"
+		].join("");
+
+		expect(convertHtml(html, "div")).toBe("<p><strong>Bold</strong> and <em>italic</em></p><p>Second</p>");
+	});
+
+	test("reads formatting from the styles of Google Docs", () => {
+		const html = [
+			"<meta charset=\"utf-8\">",
+			"<b style=\"font-weight:normal;\" id=\"docs-internal-guid-1234\">",
+			"<p dir=\"ltr\"><span style=\"font-weight:700;\">Bold</span><span style=\"font-weight:400;\"> and </span>",
+			"<span style=\"font-style:italic;\">italic</span><span style=\"text-decoration:underline;\"> underlined</span></p>",
+			"<ul><li dir=\"ltr\"><p dir=\"ltr\"><span style=\"font-weight:400;\">One</span></p></li>",
+			"<li dir=\"ltr\"><p dir=\"ltr\"><span style=\"font-weight:400;\">Two</span></p></li></ul>",
+			"</b>"
+		].join("");
+
+		expect(convertHtml(html, "div")).toBe(
+			"<p><strong>Bold</strong> and <em>italic</em><u> underlined</u></p><ul><li>One</li><li>Two</li></ul>"
+		);
+	});
+
+	test("keeps nested lists and ordered lists", () => {
+		const html = "<ol><li><p>One</p><ul><li>Nested</li></ul></li><li>Two</li></ol><p>After</p>";
+
+		expect(convertHtml(html, "div")).toBe("<ol><li>One</li></ol><ul><li>Nested</li></ul><ol><li>Two</li></ol><p>After</p>");
+	});
+
+	test("unwraps elements that are not kept, and leaves out their attributes", () => {
+		const html = "<div class=\"card\"><section><h2 style=\"color:red\">Title</h2><span class=\"x\">Text <font size=\"3\">here</font></span></section></div>";
+
+		expect(convertHtml(html, "div")).toBe("<p>Title</p><p>Text here</p>");
+	});
+
+	test("leaves out scripts and styles with their content", () => {
+		const html = "<p>Hello<script>alert(1)</script><style>p{}</style></p>";
+
+		expect(convertHtml(html, "div")).toBe("<p>Hello</p>");
+	});
+
+	test("keeps links, and escapes their URLs", () => {
+		const html = "<p><a href=\"/page?a=1&amp;b=&quot;2&quot;\" class=\"x\">link</a></p>";
+
+		expect(convertHtml(html, "div")).toBe("<p><a href=\"/page?a=1&amp;b=&quot;2&quot;\">link</a></p>");
+	});
+
+	test("fits the html in the target", () => {
+		const html = "<p><b>One</b></p><p>Two</p>";
+
+		expect(convertHtml(html, "p")).toBe("<strong>One</strong><br>Two");
+		expect(convertHtml(html, "h2")).toBe("<strong>One</strong> Two");
+		expect(convertHtml(html, "ul")).toBe("<li><strong>One</strong></li><li>Two</li>");
+		expect(convertHtml(html, "a")).toBe("One Two");
+	});
+});
+
+describe("convertText", () => {
+	test("separates paragraphs by empty lines, and keeps other line breaks", () => {
+		expect(convertText("One\r\nline\r\n\r\nTwo <b>", "div")).toBe("<p>One<br>line</p><p>Two &lt;b&gt;</p>");
+	});
+
+	test("makes every line an item in a list", () => {
+		expect(convertText("One\nTwo\n\nThree", "ol")).toBe("<li>One</li><li>Two</li><li>Three</li>");
+	});
+});
@@ -0,0 +1,80 @@
+import { sanitize, isAllowedUrl, defaultSchemes } from "../src/lib/sanitize";
+
+const tags = ["p", "a", "strong", "em", "img", "ul", "li"];
+
+describe("sanitize", () => {
+	test("removes scripts and styles together with their content", () => {
+		const result = sanitize("<p>Hello<script>alert(1)</script><style>p{}</style></p>", { tags });
+
+		expect(result.html).toBe("<p>Hello</p>");
+		expect(result.removed).toEqual([{ type: "element", name: "script" }, { type: "element", name: "style" }]);
+	});
+
+	test("removes scripts nested in elements that are not allowed", () => {
+		const result = sanitize("<div><span>Hi<script>alert(1)</script></span></div>", { tags });
+
+		expect(result.html).toBe("Hi");
+	});
+
+	test("removes event handler attributes, even when every attribute is allowed", () => {
+		const attributes = { "*": ["*"] };
+		const result = sanitize("<p onclick=\"alert(1)\" ONMOUSEOVER=\"alert(2)\" class=\"intro\">Hello</p>", { tags, attributes });
+
+		expect(result.html).toBe("<p class=\"intro\">Hello</p>");
+		expect(result.removed).toEqual([
+			{ type: "attribute", name: "onclick", tag: "p" },
+			{ type: "attribute", name: "onmouseover", tag: "p" }
+		]);
+	});
+
+	test("removes javascript: URLs, however they are written", () => {
+		const links = [
+			"<a href=\"javascript:alert(1)\">a</a>",
+			"<a href=\"JavaScript:alert(1)\">a</a>",
+			"<a href=\"java\tscript:alert(1)\">a</a>",
+			"<a href=\" javascript:alert(1)\">a</a>",
+			"<a href=\"&#106;avascript:alert(1)\">a</a>"
+		];
+
+		for(let link of links)
+			expect(sanitize(link, { tags }).html).toBe("<a>a</a>");
+
+		expect(sanitize("<img src=\"javascript:alert(1)\" alt=\"\">", { tags }).html).toBe("<img alt=\"\">");
+	});
+
+	test("keeps relative URLs and URLs with allowed schemes", () => {
+		const html = "<a href=\"/about\">a</a><a href=\"contact.html\">b</a><a href=\"https://example.com\">c</a><a href=\"mailto:a@example.com\">d</a>";
+
+		expect(sanitize(html, { tags }).html).toBe(html);
+	});
+
+	test("replaces elements that are not allowed by their content", () => {
+		const result = sanitize("<p><span class=\"x\">Hello <b>there</b></span></p>", { tags });
+
+		expect(result.html).toBe("<p>Hello there</p>");
+		expect(result.removed).toEqual([{ type: "element", name: "b" }, { type: "element", name: "span" }]);
+	});
+
+	test("removes attributes that are not allowed on their tag", () => {
+		const html = "<p style=\"color:red\" data-note=\"1\">Hi <img src=\"a.png\" width=\"10\" target=\"_blank\"></p>";
+
+		expect(sanitize(html, { tags }).html).toBe("<p data-note=\"1\">Hi <img src=\"a.png\" width=\"10\"></p>");
+	});
+
+	test("removes comments", () => {
+		expect(sanitize("<p>Hello<!-- note --></p>", { tags }).html).toBe("<p>Hello</p>");
+	});
+});
+
+describe("isAllowedUrl", () => {
+	test("allows relative URLs", () => {
+		expect(isAllowedUrl("/page", defaultSchemes)).toBe(true);
+		expect(isAllowedUrl("#top", defaultSchemes)).toBe(true);
+	});
+
+	test("checks the scheme case-insensitively", () => {
+		expect(isAllowedUrl("HTTPS://example.com", defaultSchemes)).toBe(true);
+		expect(isAllowedUrl("data:text/html,<script>", defaultSchemes)).toBe(false);
+		expect(isAllowedUrl("VBScript:msgbox", defaultSchemes)).toBe(false);
+	});
+});
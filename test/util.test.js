@@ -0,0 +1,22 @@
+import { getEventCombo, getShortcut } from "../src/lib/util";
+
+describe("getEventCombo", () => {
+	test("lists the modifiers before the key", () => {
+		const e = new KeyboardEvent("keydown", { key: "Z", ctrlKey: true, shiftKey: true });
+
+		expect(getEventCombo(e)).toEqual(["ctrl", "shift", "z"]);
+	});
+
+	test("leaves out shift for symbols", () => {
+		const e = new KeyboardEvent("keydown", { key: "?", shiftKey: true });
+
+		expect(getEventCombo(e)).toEqual(["?"]);
+	});
+
+	test("returns an empty combo for an event without a key, eg. from autofill", () => {
+		const e = new Event("keydown");
+
+		expect(getEventCombo(e)).toEqual([]);
+		expect(getShortcut([{ combo: ["ctrl", "s"] }], getEventCombo(e))).toBe(false);
+	});
+});